@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+
+'use strict';
+
+const ShopifyToken = require('..');
+const { main } = require('../lib/cli');
+
+main(ShopifyToken, process.argv.slice(2), process.env, process).then((code) => {
+  process.exitCode = code;
+});
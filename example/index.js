@@ -1,6 +1,6 @@
 'use strict';
 
-const session = require('express-session');
+const cookieParser = require('cookie-parser');
 const express = require('express');
 
 const ShopifyToken = require('..');
@@ -9,60 +9,69 @@ const config = require('./config');
 const shopifyToken = new ShopifyToken(config);
 const app = express();
 
-app.use(session({
-  secret: 'eo3Athuo4Ang5gai',
-  saveUninitialized: false,
-  resave: false
-}));
+app.use(cookieParser());
 
 app.get('/', (req, res) => {
-  if (req.session.token) return res.send('Token ready to be used');
-
   //
-  // Generate a random nonce.
+  // Generate a signed state bound to the shop.
   //
-  const nonce = shopifyToken.generateNonce();
+  const state = shopifyToken.createState({ shop: config.shop });
 
   //
   // Generate the authorization URL. For the sake of simplicity the shop name
   // is fixed here but it can, of course, be passed along with the request and
   // be different for each request.
   //
-  const uri = shopifyToken.generateAuthUrl(config.shop, undefined, nonce);
+  const uri = shopifyToken.generateAuthUrl(config.shop, undefined, state);
 
   //
-  // Save the nonce in the session to verify it later.
+  // Save the state in a cookie to tie it to the user's browser. A valid
+  // signature only proves that the state was created by us, not that the
+  // authorization was started by this user. No server-side storage is needed,
+  // so this also works behind a load balancer without sticky sessions.
   //
-  req.session.state = nonce;
+  res.cookie('state', state, {
+    httpOnly: true,
+    sameSite: 'lax',
+    maxAge: 600000
+  });
   res.redirect(uri);
 });
 
 app.get('/callback', (req, res) => {
-  const state = req.query.state;
+  const state = req.cookies.state;
+
+  //
+  // The state can be used only once.
+  //
+  res.clearCookie('state');
 
-  if (
-      typeof state !== 'string'
-    || state !== req.session.state          // Validate the state.
-    || !shopifyToken.verifyHmac(req.query)  // Validate the hmac.
-  ) {
-    return res.status(400).send('Security checks failed');
+  if (typeof state !== 'string') {
+    return res.status(400).send('Authentication failed');
+  }
+
+  try {
+    //
+    // Check that the state was not tampered with and is not expired.
+    //
+    shopifyToken.verifyState(state, { shop: req.query.shop });
+  } catch (err) {
+    return res.status(400).send('Authentication failed');
   }
 
   //
-  // Exchange the authorization code for a permanent access token.
+  // Validate the state against the one saved in the cookie, the hmac, the
+  // shop, and the timestamp, then exchange the authorization code for a
+  // permanent access token.
   //
-  shopifyToken.getAccessToken(req.query.shop, req.query.code)
+  shopifyToken.handleCallback(req.query, { expectedState: state })
     .then((data) => {
-      const token = data.access_token;
-      console.log(token);
-
-      req.session.token = token;
-      req.session.state = undefined;
-      res.redirect('/');
+      console.log(data.token);
+      res.send('Token ready to be used');
     })
     .catch((err) => {
       console.error(err.stack);
-      res.status(500).send('Oops, something went wrong');
+      res.status(400).send('Authentication failed');
     });
 });
 
@@ -1,82 +1,185 @@
 'use strict';
 
-const crypto = require('crypto');
-const https = require('https');
+const EventEmitter = require('events');
 const url = require('url');
 
+const CustomerAccount = require('./lib/customer-account');
+const MemoryCache = require('./lib/memory-cache');
+const MemoryStore = require('./lib/memory-store');
+const Registry = require('./lib/registry');
+const { diffScopes, expandScopes, parseScopes } = require('./lib/scopes');
+const { getOrigin, request } = require('./lib/request');
+const {
+  addExpirationTimes,
+  createTokenRecord,
+  getTokenId
+} = require('./lib/token-record');
+const transports = require('./lib/transports');
+const {
+  base64UrlEncode,
+  fromHex,
+  getHmacMessage,
+  hmac,
+  hmacAsync,
+  randomHex,
+  timingSafeEqual
+} = require('./lib/crypto');
+const {
+  AbortError,
+  ShopifyTokenError,
+  ShopifyTokenHttpError,
+  ShopifyTokenParseError,
+  ShopifyTokenTimeoutError,
+  ShopifyTokenValidationError
+} = require('./lib/errors');
+
 /**
- * Encode a string by replacing each instance of the `&` and `%` characters
- * with `%26` and `%25` respectively.
+ * Escape the characters of a string that have a special meaning in a regular
+ * expression.
  *
  * @param {String} input The input string
- * @return {String} The encoded string
+ * @return {String} The escaped string
  * @private
  */
-const encodeValue = (input) => input.replace(/[%&]/g, encodeURIComponent);
+const escapeRegExp = (input) => input.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 /**
- * Encode a string by replacing each instance of the `&`, `%` and `=` characters
- * with `%26`, `%25` and `%3D` respectively.
+ * Get the hostname of a URL.
  *
- * @param {String} input The input string
- * @return {String} The encoded string
+ * @param {String} input The URL
+ * @return {String|null} The hostname or `null` if `input` is not a string
  * @private
  */
-const encodeKey = (input) => input.replace(/[%&=]/g, encodeURIComponent);
+const getHostname = (input) => {
+  return typeof input === 'string' ? url.parse(input).hostname : null;
+};
 
 /**
- * Check whether two buffers have exactly the same bytes without leaking timing
- * information.
+ * Sign an encoded state.
  *
- * @param {Buffer} a One buffer to be tested for equality
- * @param {Buffer} b The other buffer to be tested for equality
- * @return {Boolean} `true` if `a` and `b` have exactly the same bytes, else
- *     `false`
+ * @param {String} secret The secret used to sign the state
+ * @param {String} encoded The base64url-encoded state payload
+ * @return {String} The base64url-encoded signature
  * @private
  */
-function timingSafeEqual(a, b) {
-  let result = 0;
+const signState = (secret, encoded) => {
+  return base64UrlEncode(hmac(secret, `state.${encoded}`));
+};
 
-  for (let i = 0; i < a.length; i++) {
-    result |= a[i] ^ b[i];
-  }
+/**
+ * Escape a string for use in HTML text or in a quoted attribute value.
+ *
+ * @param {String} input The input string
+ * @return {String} The escaped string
+ * @private
+ */
+const escapeHtml = (input) => input.replace(/[&<>"']/g, (char) => {
+  return `&#${char.charCodeAt(0)};`;
+});
 
-  return result === 0;
-}
+/**
+ * Serialize a string as a JavaScript string literal that can be safely
+ * embedded in a `<script>` element.
+ *
+ * @param {String} input The input string
+ * @return {String} The string literal
+ * @private
+ */
+const toScriptString = (input) => JSON.stringify(input).replace(
+  /[<>&\u2028\u2029]/g,
+  (char) => `\\u${`000${char.charCodeAt(0).toString(16)}`.slice(-4)}`
+);
+
+/**
+ * Check whether a value is a hex-encoded SHA-256 digest.
+ *
+ * @param {*} value The value to check
+ * @return {Boolean} `true` if `value` is a hex-encoded SHA-256 digest, else
+ *     `false`
+ * @private
+ */
+const isHexDigest = (value) => {
+  return typeof value === 'string' && /^[0-9a-f]{64}$/i.test(value);
+};
 
 /**
  * ShopifyToken class.
+ *
+ * @extends EventEmitter
  */
-class ShopifyToken {
+class ShopifyToken extends EventEmitter {
   /**
    * Create a ShopifyToken instance.
    *
    * @param {Object} options Configuration options
    * @param {String} options.redirectUri The redirect URL for the Oauth2 flow
-   * @param {String} options.sharedSecret The Shared Secret for the app
+   * @param {Array|String} options.sharedSecret The Shared Secret for the app,
+   *     or a list of secrets when rotating them. The first one is used for
+   *     signing, while signatures made with any of them are accepted
    * @param {Array|String} [options.scopes] The list of scopes
    * @param {String} options.apiKey The API Key for the app
    * @param {String} [options.accessMode] The API access mode
    * @param {Number} [options.timeout] The request timeout
    * @param {https.Agent} [options.agent] The agent used for all HTTP requests
+   * @param {Boolean} [options.expiring] Whether or not to request expiring
+   *     offline access tokens
+   * @param {String[]} [options.customShopDomains] Additional domains, other
+   *     than myshopify.com, allowed for shops
+   * @param {Boolean} [options.validateShop=true] Whether or not to reject
+   *     invalid shop domains
+   * @param {Object} [options.store] The store where the access tokens are
+   *     saved automatically
+   * @param {Number} [options.maxRetries=0] The maximum number of times a
+   *     request is retried on network errors, 429, and 5xx responses
+   * @param {Number} [options.retryDelay=1000] The base delay, in
+   *     milliseconds, of the exponential backoff between retries
+   * @param {Function} [options.onSecretMatch] The function called with the
+   *     index of the shared secret and the name of the method when a
+   *     signature is verified
+   * @param {Function} [options.transport] The function used to make the HTTPS
+   *     requests
+   * @param {String} [options.baseUrl] The URL of the server used instead of
+   *     the shop, e.g. the URL of a mock server
+   * @param {Object} [options.codeCache] The cache where the consumed
+   *     authorization codes are remembered. If specified, concurrent requests
+   *     with the same code are coalesced and a code can be used only once
+   * @param {Number} [options.codeTtl=600000] The number of milliseconds after
+   *     which a consumed authorization code is forgotten
    */
   constructor(options) {
     if (
         !options
       || !options.sharedSecret
+      || !options.sharedSecret.length
+      || [].concat(options.sharedSecret).some((secret) => !secret)
       || !options.redirectUri
       || !options.apiKey
     ) {
       throw new Error('Missing or invalid options');
     }
 
+    super();
+
     this.accessMode = 'accessMode' in options ? options.accessMode : '';
     this.scopes = 'scopes' in options ? options.scopes : 'read_content';
     this.timeout = 'timeout' in options ? options.timeout : 60000;
-    this.sharedSecret = options.sharedSecret;
+    this.expiring = !!options.expiring;
+    this.customShopDomains = options.customShopDomains || [];
+    this.validateShop = options.validateShop !== false;
+    this.store = options.store;
+    this.maxRetries = options.maxRetries || 0;
+    this.retryDelay = 'retryDelay' in options ? options.retryDelay : 1000;
+    this.sharedSecrets = [].concat(options.sharedSecret);
+    this.sharedSecret = this.sharedSecrets[0];
+    this.onSecretMatch = options.onSecretMatch;
     this.redirectUri = options.redirectUri;
     this.apiKey = options.apiKey;
     this.agent = options.agent;
+    this.transport = options.transport || transports.https;
+    this.baseUrl = options.baseUrl;
+    this.codeCache = options.codeCache;
+    this.codeTtl = 'codeTtl' in options ? options.codeTtl : 600000;
+    this.pendingCodes = new Map();
   }
 
   /**
@@ -86,7 +189,131 @@ class ShopifyToken {
    * @public
    */
   generateNonce() {
-    return crypto.randomBytes(16).toString('hex');
+    return randomHex(16);
+  }
+
+  /**
+   * Create a signed state that can be used as the nonce of the authorization
+   * URL without storing it on the server.
+   *
+   * @param {Object} [options] Options object
+   * @param {String} [options.shop] The shop the state is bound to
+   * @param {*} [options.data] Additional JSON serializable data
+   * @param {Number} [options.ttl=600000] The number of milliseconds after
+   *     which the state expires
+   * @return {String} The signed state
+   * @public
+   */
+  createState(options) {
+    options = Object.assign({ ttl: 600000 }, options);
+
+    const payload = {
+      nonce: this.generateNonce(),
+      exp: Date.now() + options.ttl
+    };
+
+    if (options.shop !== undefined) {
+      payload.shop = this.normalizeShop(options.shop);
+      if (!payload.shop) {
+        throw new ShopifyTokenValidationError('invalid_shop_domain');
+      }
+    }
+
+    if (options.data !== undefined) payload.data = options.data;
+
+    const encoded = base64UrlEncode(Buffer.from(JSON.stringify(payload)));
+
+    return `${encoded}.${signState(this.sharedSecret, encoded)}`;
+  }
+
+  /**
+   * Verify a state created with `createState()`.
+   *
+   * @param {String} state The state
+   * @param {Object} [options] Options object
+   * @param {String} [options.shop] The shop the state is expected to be bound
+   *     to
+   * @return {Object} The decoded state
+   * @throws {Error} If the state is not valid
+   * @public
+   */
+  verifyState(state, options) {
+    const parts = typeof state === 'string' ? state.split('.') : [];
+
+    if (parts.length !== 2) {
+      throw new ShopifyTokenValidationError('malformed_state');
+    }
+
+    const signature = Buffer.from(parts[1]);
+    const valid = matchSecret(this, 'verifyState', (secret) => {
+      const digest = Buffer.from(signState(secret, parts[0]));
+
+      return (
+        signature.length === digest.length &&
+        timingSafeEqual(digest, signature)
+      );
+    });
+
+    if (!valid) {
+      throw new ShopifyTokenValidationError('invalid_state_signature');
+    }
+
+    const payload = JSON.parse(Buffer.from(parts[0], 'base64').toString());
+
+    if (Date.now() > payload.exp) {
+      throw new ShopifyTokenValidationError('state_expired');
+    }
+
+    if (payload.shop !== undefined) {
+      const shop = options && this.normalizeShop(options.shop);
+
+      if (shop !== payload.shop) {
+        throw new ShopifyTokenValidationError('state_shop_mismatch');
+      }
+    }
+
+    return payload;
+  }
+
+  /**
+   * Check whether a hostname is a valid shop domain.
+   *
+   * @param {String} shop The hostname to check, e.g. foo.myshopify.com
+   * @return {Boolean} `true` if `shop` is a valid shop domain, else `false`
+   * @public
+   */
+  isValidShopDomain(shop) {
+    if (typeof shop !== 'string') return false;
+
+    const domains = ['myshopify.com'].concat(this.customShopDomains);
+    const regex = new RegExp(
+      `^[a-z0-9][a-z0-9-]*\\.(${domains.map(escapeRegExp).join('|')})$`
+    );
+
+    return regex.test(shop);
+  }
+
+  /**
+   * Normalize a shop name, hostname, or URL into a shop domain.
+   *
+   * @param {String} shop The shop name, hostname, or URL
+   * @return {String|null} The shop domain, e.g. foo.myshopify.com, or `null`
+   *     if `shop` is not valid
+   * @public
+   */
+  normalizeShop(shop) {
+    if (typeof shop !== 'string') return null;
+
+    let hostname = shop.trim().toLowerCase().replace(/^https?:\/\//, '');
+    const match = /^admin\.shopify\.com\/store\/([^/?#]+)/.exec(hostname);
+
+    hostname = match
+      ? `${match[1]}.myshopify.com`
+      : hostname.replace(/[/?#].*$/, '');
+
+    if (hostname.indexOf('.') === -1) hostname += '.myshopify.com';
+
+    return this.isValidShopDomain(hostname) ? hostname : null;
   }
 
   /**
@@ -97,12 +324,26 @@ class ShopifyToken {
    * @param {String} [nonce] The nonce
    * @param {String} [accessMode] The API access mode
    * @return {String} The authorization URL
+   * @throws {Error} If the shop is not valid
    * @public
    */
   generateAuthUrl(shop, scopes, nonce, accessMode) {
     scopes || (scopes = this.scopes);
     accessMode || (accessMode = this.accessMode);
 
+    let hostname;
+
+    if (this.validateShop) {
+      hostname = this.normalizeShop(shop);
+      if (!hostname) {
+        throw new ShopifyTokenValidationError('invalid_shop_domain');
+      }
+    } else {
+      hostname = shop.endsWith('.myshopify.com')
+        ? shop
+        : `${shop}.myshopify.com`;
+    }
+
     const query = {
       scope: Array.isArray(scopes) ? scopes.join(',') : scopes,
       state: nonce || this.generateNonce(),
@@ -114,12 +355,141 @@ class ShopifyToken {
       query['grant_options[]'] = accessMode;
     }
 
-    return url.format({
+    return url.format(Object.assign({
       pathname: '/admin/oauth/authorize',
-      hostname: shop.endsWith('.myshopify.com') ? shop : `${shop}.myshopify.com`,
-      protocol: 'https:',
       query
-    });
+    }, getOrigin(this, hostname)));
+  }
+
+  /**
+   * Check whether the granted scopes include all the requested ones and, if
+   * not, build the authorization URL to request them.
+   *
+   * @param {String} shop The shop name
+   * @param {Array|String} grantedScope The granted scopes, e.g. the `scope`
+   *     property of the access token data
+   * @param {Object} [options] Options object
+   * @param {Array|String} [options.scopes] The requested scopes
+   * @param {String} [options.nonce] The nonce
+   * @param {String} [options.accessMode] The API access mode
+   * @return {String|null} The authorization URL, or `null` if all the
+   *     requested scopes are granted
+   * @throws {Error} If the shop is not valid
+   * @public
+   */
+  needsReauthorization(shop, grantedScope, options) {
+    options = Object.assign({ scopes: this.scopes }, options);
+
+    if (!diffScopes(options.scopes, grantedScope).missing.length) return null;
+
+    //
+    // Request all the scopes, not only the missing ones, as the new access
+    // token is granted only the scopes in the authorization URL.
+    //
+    return this.generateAuthUrl(
+      shop,
+      parseScopes(options.scopes),
+      options.nonce,
+      options.accessMode
+    );
+  }
+
+  /**
+   * Decode the `host` parameter sent by Shopify to embedded apps.
+   *
+   * @param {String} host The base64-encoded host
+   * @return {String|null} The decoded host, e.g.
+   *     admin.shopify.com/store/foo, or `null` if it is not valid
+   * @public
+   */
+  decodeHost(host) {
+    if (typeof host !== 'string' || !/^[\w+/-]+={0,2}$/.test(host)) {
+      return null;
+    }
+
+    const decoded = Buffer.from(host, 'base64').toString();
+
+    return /^[a-z0-9.-]+(\/[\w-]+)+$/i.test(decoded) &&
+      this.normalizeShop(decoded) !== null
+      ? decoded
+      : null;
+  }
+
+  /**
+   * Get the embedded context of a request from its query string. The query
+   * should be verified with `verifyHmac()` first.
+   *
+   * @param {Object} query The parsed query string
+   * @return {Object} An object with the `embedded` property, a boolean that
+   *     indicates whether or not the app is loaded in the Shopify admin, and
+   *     the `host` property, the decoded host or `null`
+   * @public
+   */
+  getEmbeddedContext(query) {
+    return {
+      embedded: query.embedded === '1',
+      host: this.decodeHost(query.host)
+    };
+  }
+
+  /**
+   * Build the response that redirects the user to a URL, e.g. the
+   * authorization URL. When the app is embedded, the redirect is performed by
+   * a page that uses App Bridge to navigate the top-level window, as the
+   * authorization page cannot be loaded in the iframe of the Shopify admin.
+   *
+   * @param {String} redirectUrl The absolute URL or the absolute path to
+   *     redirect to
+   * @param {Object} [query] The parsed query string of the request
+   * @return {Object} An object with the `statusCode`, `headers`, and `body`
+   *     properties
+   * @throws {TypeError} If the URL is not valid
+   * @public
+   */
+  createRedirectResponse(redirectUrl, query) {
+    if (
+      typeof redirectUrl !== 'string' ||
+      !/^(https?:\/\/[^/\s]|\/(?![/\\]))[^\s]*$/i.test(redirectUrl)
+    ) {
+      throw new TypeError('Invalid redirect URL');
+    }
+
+    query = query || {};
+
+    if (!this.getEmbeddedContext(query).embedded) {
+      return {
+        statusCode: 302,
+        headers: { Location: redirectUrl },
+        body: ''
+      };
+    }
+
+    const headers = { 'Content-Type': 'text/html; charset=utf-8' };
+
+    if (this.isValidShopDomain(query.shop)) {
+      headers['Content-Security-Policy'] =
+        `frame-ancestors https://${query.shop} https://admin.shopify.com`;
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: [
+        '<!DOCTYPE html>',
+        '<html>',
+        '<head>',
+        `<meta name="shopify-api-key" content="${escapeHtml(this.apiKey)}">`,
+        '<script src="https://cdn.shopify.com/shopifycloud/app-bridge.js">' +
+          '</script>',
+        '</head>',
+        '<body>',
+        `<script>window.open(${toScriptString(redirectUrl)}, '_top');` +
+          '</script>',
+        '</body>',
+        '</html>',
+        ''
+      ].join('\n')
+    };
   }
 
   /**
@@ -130,109 +500,964 @@ class ShopifyToken {
    * @public
    */
   verifyHmac(query) {
+    const reason = checkHmac(this, query);
+
+    return (
+      reason === null ||
+      hmacFailure(this, 'verifyHmac', reason, query.shop)
+    );
+  }
+
+  /**
+   * Like `verifyHmac()` but uses the Web Crypto API when the `crypto` module
+   * is not available.
+   *
+   * @param {Object} query The parsed query string
+   * @return {Promise} Promise which is fulfilled with `true` if the hmac is
+   *     valid, else `false`
+   * @public
+   */
+  verifyHmacAsync(query) {
+    if (!isHexDigest(query.hmac)) {
+      return Promise.resolve(
+        hmacFailure(this, 'verifyHmacAsync', 'malformed', query.shop)
+      );
+    }
+
+    const message = getHmacMessage(query);
+    const signature = fromHex(query.hmac);
+
+    return Promise.all(
+      this.sharedSecrets.map((secret) => hmacAsync(secret, message))
+    ).then((digests) => {
+      return matchSecret(this, 'verifyHmacAsync', (secret, index) => {
+        return timingSafeEqual(digests[index], signature);
+      }) || hmacFailure(this, 'verifyHmacAsync', 'mismatch', query.shop);
+    });
+  }
+
+  /**
+   * Verify the signature of an app proxy request.
+   *
+   * @param {Object} query The parsed query string
+   * @return {Boolean} `true` if the signature is valid, else `false`
+   * @public
+   */
+  verifyProxySignature(query) {
     const pairs = Object.keys(query)
-      .filter((key) => key !== 'signature' && key !== 'hmac')
+      .filter((key) => key !== 'signature')
       .map((key) => {
         const value = Array.isArray(query[key])
-          ? `["${query[key].join('", "')}"]`
+          ? query[key].join(',')
           : String(query[key]);
 
-        return `${encodeKey(key)}=${encodeValue(value)}`;
+        return `${key}=${value}`;
       })
       .sort();
 
+    if (!isHexDigest(query.signature)) {
+      return hmacFailure(this, 'verifyProxySignature', 'malformed', query.shop);
+    }
+
+    const signature = fromHex(query.signature);
+
+    return matchSecret(this, 'verifyProxySignature', (secret) => {
+      return timingSafeEqual(hmac(secret, pairs.join('')), signature);
+    }) || hmacFailure(this, 'verifyProxySignature', 'mismatch', query.shop);
+  }
+
+  /**
+   * Verify and decode a session token issued by App Bridge.
+   *
+   * @param {String} token The session token
+   * @param {Object} [options] Options object
+   * @param {Number} [options.clockTolerance=5] The number of seconds of
+   *     tolerance when checking the `exp` and `nbf` claims
+   * @return {Object} The decoded payload
+   * @throws {Error} If the token is not valid
+   * @public
+   */
+  verifySessionToken(token, options) {
+    options = Object.assign({ clockTolerance: 5 }, options);
+
+    const parts = typeof token === 'string' ? token.split('.') : [];
+
+    if (parts.length !== 3) {
+      throw new ShopifyTokenValidationError('malformed_session_token');
+    }
+
+    let header;
+    let payload;
+
+    try {
+      header = JSON.parse(Buffer.from(parts[0], 'base64').toString());
+      payload = JSON.parse(Buffer.from(parts[1], 'base64').toString());
+    } catch (e) {
+      throw new ShopifyTokenValidationError('malformed_session_token');
+    }
+
+    if (header === null || header.alg !== 'HS256') {
+      throw new ShopifyTokenValidationError(
+        'unsupported_session_token_algorithm'
+      );
+    }
+
+    const signature = Buffer.from(parts[2]);
+    const valid = matchSecret(this, 'verifySessionToken', (secret) => {
+      const digest = Buffer.from(
+        base64UrlEncode(hmac(secret, `${parts[0]}.${parts[1]}`))
+      );
+
+      return (
+        signature.length === digest.length &&
+        timingSafeEqual(digest, signature)
+      );
+    });
+
+    if (!valid) {
+      throw new ShopifyTokenValidationError('invalid_session_token_signature');
+    }
+
+    if (payload === null || typeof payload !== 'object') {
+      throw new ShopifyTokenValidationError('malformed_session_token');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+
+    if (
+      typeof payload.exp !== 'number' ||
+      now > payload.exp + options.clockTolerance
+    ) {
+      throw new ShopifyTokenValidationError('session_token_expired');
+    }
+
     if (
-      typeof query.hmac !== 'string' ||
-      Buffer.byteLength(query.hmac) !== 64
+      typeof payload.nbf === 'number' &&
+      now < payload.nbf - options.clockTolerance
     ) {
-      return false;
+      throw new ShopifyTokenValidationError('session_token_not_yet_valid');
+    }
+
+    if (payload.aud !== this.apiKey) {
+      throw new ShopifyTokenValidationError('invalid_session_token_audience');
+    }
+
+    const iss = getHostname(payload.iss);
+    const dest = getHostname(payload.dest);
+
+    if (!this.isValidShopDomain(dest) || iss !== dest) {
+      throw new ShopifyTokenValidationError('invalid_session_token_issuer');
+    }
+
+    return payload;
+  }
+
+  /**
+   * Verify the hmac of a webhook sent by Shopify.
+   *
+   * @param {Buffer|String} rawBody The raw body of the webhook request
+   * @param {String} hmacHeader The value of the `X-Shopify-Hmac-Sha256` header
+   * @return {Boolean} `true` if the hmac is valid, else `false`
+   * @throws {TypeError} If the body is not a string or a buffer
+   * @public
+   */
+  verifyWebhook(rawBody, hmacHeader) {
+    const reason = checkWebhook(this, rawBody, hmacHeader);
+
+    return reason === null || hmacFailure(this, 'verifyWebhook', reason);
+  }
+
+  /**
+   * Read the body of a webhook request and verify its hmac.
+   *
+   * @param {http.IncomingMessage} req The webhook request
+   * @return {Promise} Promise which is fulfilled with the parsed payload and
+   *     the webhook metadata
+   * @public
+   */
+  verifyWebhookRequest(req) {
+    //
+    // If the body was already read, e.g. by a body parser, the `'end'` event
+    // is not emitted again.
+    //
+    if (req.readableEnded) {
+      return Promise.reject(new Error(
+        'The request body was already read. Use `verifyWebhook()` with the ' +
+          'raw body instead'
+      ));
     }
 
-    const digest = crypto.createHmac('sha256', this.sharedSecret)
-      .update(pairs.join('&'))
-      .digest();
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('error', reject);
+      req.on('end', () => {
+        const body = Buffer.concat(chunks);
+        const headers = req.headers;
+        const reason = checkWebhook(
+          this,
+          body,
+          headers['x-shopify-hmac-sha256']
+        );
+        let payload;
+
+        if (reason !== null) {
+          hmacFailure(
+            this,
+            'verifyWebhook',
+            reason,
+            headers['x-shopify-shop-domain']
+          );
+          return reject(
+            new ShopifyTokenValidationError('invalid_webhook_hmac')
+          );
+        }
+
+        try {
+          payload = JSON.parse(body.toString());
+        } catch (e) {
+          return reject(
+            new ShopifyTokenParseError('Failed to parse the webhook body')
+          );
+        }
 
-    return timingSafeEqual(digest, Buffer.from(query.hmac, 'hex'));
+        resolve({
+          topic: headers['x-shopify-topic'],
+          shop: headers['x-shopify-shop-domain'],
+          webhookId: headers['x-shopify-webhook-id'],
+          apiVersion: headers['x-shopify-api-version'],
+          payload
+        });
+      });
+    });
   }
 
   /**
-   * Request an access token.
+   * Request an access token. If the `codeCache` option is used, concurrent
+   * calls with the same shop and code share the same request and a code that
+   * was already exchanged is rejected. The shared request is made with the
+   * options of the first call, except for the `signal` option, which only
+   * rejects the call that uses it.
    *
    * @param {String} shop The hostname of the shop, e.g. foo.myshopify.com
    * @param {String} code The authorization code
+   * @param {Object} [options] Options object
+   * @param {Boolean} [options.expiring] Whether or not to request an expiring
+   *     offline access token
+   * @param {AbortSignal} [options.signal] The signal used to abort the request
+   * @param {Number} [options.timeout] The request timeout
+   * @param {https.Agent} [options.agent] The agent used for the request
    * @return {Promise} Promise which is fulfilled with an access token and
    *     additional data
    * @public
    */
-  getAccessToken(shop, code) {
-    return new Promise((resolve, reject) => {
-      const data = JSON.stringify({
-        client_secret: this.sharedSecret,
-        client_id: this.apiKey,
-        code
-      });
+  getAccessToken(shop, code, options) {
+    const params = { code };
 
-      const request = https.request({
-        headers: {
-          'Content-Length': Buffer.byteLength(data),
-          'Content-Type': 'application/json',
-          'Accept': 'application/json'
-        },
-        path: '/admin/oauth/access_token',
-        hostname: shop,
-        method: 'POST',
-        agent: this.agent
-      });
+    if (isExpiring(this, options)) params.expiring = 1;
 
-      let timer = setTimeout(() => {
-        request.abort();
-        timer = null;
-        reject(new Error('Request timed out'));
-      }, this.timeout);
-
-      request.on('response', (response) => {
-        const status = response.statusCode;
-        let body = '';
-
-        response.setEncoding('utf8');
-        response.on('data', (chunk) => body += chunk);
-        response.on('end', () => {
-          let error;
-
-          if (!timer) return;
-
-          clearTimeout(timer);
-
-          if (status !== 200) {
-            error = new Error('Failed to get Shopify access token');
-            error.responseBody = body;
-            error.statusCode = status;
-            return reject(error);
-          }
-
-          try {
-            body = JSON.parse(body);
-          } catch (e) {
-            error = new Error('Failed to parse the response body');
-            error.responseBody = body;
-            error.statusCode = status;
-            return reject(error);
-          }
-
-          resolve(body);
-        });
+    if (!this.codeCache) return requestAccessToken(this, shop, params, options);
+
+    const signal = options && options.signal;
+
+    if (signal && signal.aborted) return Promise.reject(new AbortError());
+
+    const key = `${shop}:${code}`;
+    let promise = this.pendingCodes.get(key);
+
+    if (!promise) {
+      //
+      // The shared request is not tied to the signal of a single caller.
+      // Aborting it would reject the other callers and, as the code might
+      // have already been used upstream, make it look unused.
+      //
+      const sharedOptions = Object.assign({}, options, { signal: undefined });
+
+      promise = consumeCode(this, key, () => {
+        return requestAccessToken(this, shop, params, sharedOptions);
+      }).then((data) => {
+        this.pendingCodes.delete(key);
+        return data;
+      }, (err) => {
+        this.pendingCodes.delete(key);
+        throw err;
       });
 
-      request.on('error', (err) => {
-        if (!timer) return;
+      this.pendingCodes.set(key, promise);
+    }
+
+    return signal ? raceSignal(promise, signal) : promise;
+  }
+
+  /**
+   * Validate the query of the confirmation redirect and exchange the
+   * authorization code for an access token.
+   *
+   * @param {Object} query The parsed query string
+   * @param {Object} options Options object
+   * @param {String} options.expectedState The expected state, e.g. the one
+   *     saved in the session or in a cookie when the user was redirected
+   * @param {Number} [options.maxAge=600000] The maximum age, in milliseconds,
+   *     of the `timestamp` parameter
+   * @param {Boolean} [options.expiring] Whether or not to request an expiring
+   *     offline access token
+   * @param {AbortSignal} [options.signal] The signal used to abort the request
+   * @param {Number} [options.timeout] The request timeout
+   * @param {https.Agent} [options.agent] The agent used for the request
+   * @return {Promise} Promise which is fulfilled with the shop, the access
+   *     token, and additional data
+   * @public
+   */
+  handleCallback(query, options) {
+    return exchangeCallback(this, query, options).then((data) => ({
+      shop: query.shop,
+      token: data.access_token,
+      scope: data.scope,
+      associatedUser: data.associated_user,
+      associatedUserScope: data.associated_user_scope,
+      expiresAt: data.expiresAt,
+      refreshToken: data.refresh_token,
+      refreshTokenExpiresAt: data.refreshTokenExpiresAt
+    }));
+  }
+
+  /**
+   * Create handlers that implement the OAuth flow for Connect, Express, Koa,
+   * and plain `http` servers.
+   *
+   * @param {Object} options Options object
+   * @param {Function} options.afterAuth The function called with the request,
+   *     the response, and the access token data, augmented with the `shop`
+   *     property, after the authorization succeeds
+   * @param {Array|String} [options.scopes] The list of scopes
+   * @param {String} [options.accessMode] The API access mode
+   * @param {String} [options.cookieName=shopify_token_state] The name of the
+   *     state cookie
+   * @param {String} [options.cookiePath=/] The path of the state cookie
+   * @param {Boolean} [options.secure=true] Whether or not to set the `Secure`
+   *     attribute of the state cookie
+   * @param {Number} [options.ttl=600000] The number of milliseconds after
+   *     which the state expires
+   * @param {Number} [options.maxAge] The maximum age, in milliseconds, of the
+   *     `timestamp` parameter
+   * @return {Object} An object with the `begin` and `callback` handlers
+   * @public
+   */
+  createMiddleware(options) {
+    //
+    // The middleware depends on the `http` module, which is not available on
+    // all runtimes, so it is loaded only when used.
+    //
+    const createMiddleware = require('./lib/middleware');
+
+    return createMiddleware(this, options, (query, callbackOptions) => {
+      return exchangeCallback(this, query, callbackOptions);
+    });
+  }
+
+  /**
+   * Exchange a session token for an access token.
+   *
+   * @param {String} shop The hostname of the shop, e.g. foo.myshopify.com
+   * @param {String} sessionToken The session token issued by App Bridge
+   * @param {Object} [options] Options object
+   * @param {String} [options.accessMode] The API access mode
+   * @param {Boolean} [options.expiring] Whether or not to request an expiring
+   *     offline access token
+   * @param {AbortSignal} [options.signal] The signal used to abort the request
+   * @param {Number} [options.timeout] The request timeout
+   * @param {https.Agent} [options.agent] The agent used for the request
+   * @return {Promise} Promise which is fulfilled with an access token and
+   *     additional data
+   * @public
+   */
+  exchangeSessionToken(shop, sessionToken, options) {
+    const accessMode = options && options.accessMode || this.accessMode;
+    const params = {
+      grant_type: 'urn:ietf:params:oauth:grant-type:token-exchange',
+      subject_token: sessionToken,
+      subject_token_type: 'urn:ietf:params:oauth:token-type:id_token'
+    };
+
+    if (accessMode === 'per-user') {
+      params.requested_token_type =
+        'urn:shopify:params:oauth:token-type:online-access-token';
+    } else {
+      params.requested_token_type =
+        'urn:shopify:params:oauth:token-type:offline-access-token';
+
+      if (isExpiring(this, options)) params.expiring = 1;
+    }
+
+    return requestAccessToken(this, shop, params, options);
+  }
+
+  /**
+   * Use a refresh token to get a new expiring offline access token.
+   *
+   * @param {String} shop The hostname of the shop, e.g. foo.myshopify.com
+   * @param {String} refreshToken The refresh token
+   * @param {Object} [options] Options object
+   * @param {AbortSignal} [options.signal] The signal used to abort the request
+   * @param {Number} [options.timeout] The request timeout
+   * @param {https.Agent} [options.agent] The agent used for the request
+   * @return {Promise} Promise which is fulfilled with an access token and
+   *     additional data
+   * @public
+   */
+  refreshAccessToken(shop, refreshToken, options) {
+    return requestAccessToken(this, shop, {
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken
+    }, options);
+  }
+
+  /**
+   * Revoke all the access tokens of a shop, uninstalling the app from it.
+   *
+   * @param {String} shop The hostname of the shop, e.g. foo.myshopify.com
+   * @param {String} accessToken An access token of the shop
+   * @param {Object} [options] Options object
+   * @param {AbortSignal} [options.signal] The signal used to abort the request
+   * @param {Number} [options.timeout] The request timeout
+   * @param {https.Agent} [options.agent] The agent used for the request
+   * @return {Promise} Promise which is fulfilled when the app is uninstalled
+   * @public
+   */
+  revokeAccessToken(shop, accessToken, options) {
+    options = options || {};
+
+    if (isInvalidShop(this, shop)) {
+      return Promise.reject(
+        new ShopifyTokenValidationError('invalid_shop_domain')
+      );
+    }
+
+    return request(this, {
+      path: '/admin/api_permissions/current.json',
+      method: 'DELETE',
+      shop,
+      headers: { 'X-Shopify-Access-Token': accessToken },
+      signal: options.signal,
+      timeout: options.timeout,
+      agent: options.agent
+    }).then((response) => {
+      if (response.statusCode < 200 || response.statusCode > 299) {
+        throw new ShopifyTokenHttpError(
+          'Failed to revoke Shopify access token',
+          response.statusCode,
+          response.body
+        );
+      }
+
+      return deleteTokens(this, shop);
+    });
+  }
+
+  /**
+   * Check whether an access token is valid and get its scopes.
+   *
+   * @param {String} shop The hostname of the shop, e.g. foo.myshopify.com
+   * @param {String} accessToken The access token
+   * @param {Object} [options] Options object
+   * @param {AbortSignal} [options.signal] The signal used to abort the request
+   * @param {Number} [options.timeout] The request timeout
+   * @param {https.Agent} [options.agent] The agent used for the request
+   * @return {Promise} Promise which is fulfilled with an object with the
+   *     `valid` and `scopes` properties
+   * @public
+   */
+  checkAccessToken(shop, accessToken, options) {
+    options = options || {};
+
+    if (isInvalidShop(this, shop)) {
+      return Promise.reject(
+        new ShopifyTokenValidationError('invalid_shop_domain')
+      );
+    }
+
+    return request(this, {
+      path: '/admin/oauth/access_scopes.json',
+      method: 'GET',
+      shop,
+      headers: { 'X-Shopify-Access-Token': accessToken },
+      signal: options.signal,
+      timeout: options.timeout,
+      agent: options.agent
+    }).then((response) => {
+      let scopes;
+
+      if (
+        response.statusCode === 401 ||
+        response.statusCode === 403 ||
+        response.statusCode === 404
+      ) {
+        return { valid: false, scopes: [] };
+      }
+
+      if (response.statusCode !== 200) {
+        throw new ShopifyTokenHttpError(
+          'Failed to check Shopify access token',
+          response.statusCode,
+          response.body
+        );
+      }
+
+      try {
+        scopes = JSON.parse(response.body).access_scopes.map(
+          (scope) => scope.handle
+        );
+      } catch (e) {
+        throw new ShopifyTokenParseError(
+          'Failed to parse the response body',
+          response.statusCode,
+          response.body
+        );
+      }
+
+      return { valid: true, scopes };
+    });
+  }
+
+  /**
+   * Check multiple access tokens, with a limited number of requests in
+   * flight.
+   *
+   * @param {Object[]} tokens The access tokens, as objects with the `shop`
+   *     and `accessToken` properties
+   * @param {Object} [options] Options object
+   * @param {Number} [options.concurrency=10] The maximum number of concurrent
+   *     requests
+   * @param {AbortSignal} [options.signal] The signal used to abort the
+   *     requests
+   * @param {Number} [options.timeout] The timeout of each request
+   * @param {https.Agent} [options.agent] The agent used for the requests
+   * @return {Promise} Promise which is fulfilled with an array of results, in
+   *     the same order as `tokens`
+   * @throws {TypeError} If the `concurrency` option is not a positive integer
+   * @public
+   */
+  checkAccessTokens(tokens, options) {
+    options = Object.assign({ concurrency: 10 }, options);
+
+    if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+      throw new TypeError(
+        'The `concurrency` option must be a positive integer'
+      );
+    }
+
+    const results = new Array(tokens.length);
+    const workers = [];
+    let index = 0;
+
+    const next = () => {
+      if (index === tokens.length) return;
+
+      const i = index++;
+      const shop = tokens[i].shop;
+
+      return this.checkAccessToken(shop, tokens[i].accessToken, options)
+        .then((result) => {
+          results[i] = Object.assign({ shop }, result);
+        }, (error) => {
+          results[i] = { shop, error };
+        })
+        .then(next);
+    };
+
+    while (workers.length < Math.min(options.concurrency, tokens.length)) {
+      workers.push(next());
+    }
+
+    return Promise.all(workers).then(() => results);
+  }
+}
+
+/**
+ * Check whether a shop must be rejected before making a request to it.
+ *
+ * @param {ShopifyToken} shopifyToken The `ShopifyToken` instance
+ * @param {String} shop The hostname of the shop
+ * @return {Boolean} `true` if the shop must be rejected, else `false`
+ * @private
+ */
+function isInvalidShop(shopifyToken, shop) {
+  return shopifyToken.validateShop && !shopifyToken.isValidShopDomain(shop);
+}
+
+/**
+ * Emit the `hmacFailure` event.
+ *
+ * @param {ShopifyToken} shopifyToken The `ShopifyToken` instance
+ * @param {String} method The name of the verification method
+ * @param {String} reason The reason of the failure, `malformed` if the
+ *     signature is missing or malformed, or `mismatch` if it was not made
+ *     with any of the shared secrets
+ * @param {String} [shop] The hostname of the shop, if known
+ * @return {Boolean} `false`
+ * @private
+ */
+function hmacFailure(shopifyToken, method, reason, shop) {
+  shopifyToken.emit('hmacFailure', { method, reason, shop });
+  return false;
+}
 
-        clearTimeout(timer);
-        reject(err);
+/**
+ * Verify the hmac of a query string without emitting the `hmacFailure` event.
+ *
+ * @param {ShopifyToken} shopifyToken The `ShopifyToken` instance
+ * @param {Object} query The parsed query string
+ * @return {String|null} `null` if the hmac is valid, else the reason of the
+ *     failure
+ * @private
+ */
+function checkHmac(shopifyToken, query) {
+  if (!isHexDigest(query.hmac)) return 'malformed';
+
+  const message = getHmacMessage(query);
+  const signature = fromHex(query.hmac);
+
+  return matchSecret(shopifyToken, 'verifyHmac', (secret) => {
+    return timingSafeEqual(hmac(secret, message), signature);
+  }) ? null : 'mismatch';
+}
+
+/**
+ * Verify the hmac of a webhook without emitting the `hmacFailure` event.
+ *
+ * @param {ShopifyToken} shopifyToken The `ShopifyToken` instance
+ * @param {Buffer|String} rawBody The raw body of the webhook request
+ * @param {String} hmacHeader The value of the `X-Shopify-Hmac-Sha256` header
+ * @return {String|null} `null` if the hmac is valid, else the reason of the
+ *     failure
+ * @throws {TypeError} If the body is not a string or a buffer
+ * @private
+ */
+function checkWebhook(shopifyToken, rawBody, hmacHeader) {
+  //
+  // A body that was already parsed, e.g. by a JSON body parser, cannot be
+  // verified, as it is not possible to serialize it exactly as it was sent.
+  //
+  if (typeof rawBody !== 'string' && !Buffer.isBuffer(rawBody)) {
+    throw new TypeError(
+      'The raw body must be a string or a buffer. Do not parse it before ' +
+        'verifying the webhook'
+    );
+  }
+
+  const signature = typeof hmacHeader === 'string'
+    ? Buffer.from(hmacHeader, 'base64')
+    : null;
+
+  if (!signature || signature.length !== 32) return 'malformed';
+
+  return matchSecret(shopifyToken, 'verifyWebhook', (secret) => {
+    return timingSafeEqual(hmac(secret, rawBody), signature);
+  }) ? null : 'mismatch';
+}
+
+/**
+ * Verify a signature with each shared secret, in order, until one matches.
+ *
+ * @param {ShopifyToken} shopifyToken The `ShopifyToken` instance
+ * @param {String} method The name of the verification method
+ * @param {Function} verify The function called with a secret and its index
+ *     that returns `true` if the signature was made with it
+ * @return {Boolean} `true` if a secret matched, else `false`
+ * @private
+ */
+function matchSecret(shopifyToken, method, verify) {
+  const secrets = shopifyToken.sharedSecrets;
+
+  for (let i = 0; i < secrets.length; i++) {
+    if (verify(secrets[i], i)) {
+      if (shopifyToken.onSecretMatch) shopifyToken.onSecretMatch(i, method);
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Check whether an expiring offline access token should be requested.
+ *
+ * @param {ShopifyToken} shopifyToken The `ShopifyToken` instance
+ * @param {Object} [options] The options passed to the method
+ * @return {Boolean} `true` if an expiring token should be requested, else
+ *     `false`
+ * @private
+ */
+function isExpiring(shopifyToken, options) {
+  return options && 'expiring' in options
+    ? !!options.expiring
+    : shopifyToken.expiring;
+}
+
+/**
+ * Make a request to the access token endpoint of a shop.
+ *
+ * @param {ShopifyToken} shopifyToken The `ShopifyToken` instance
+ * @param {String} shop The hostname of the shop
+ * @param {Object} params The grant specific parameters
+ * @param {Object} [options] The options passed to the method
+ * @return {Promise} Promise which is fulfilled with an access token and
+ *     additional data
+ * @private
+ */
+function requestAccessToken(shopifyToken, shop, params, options) {
+  options = options || {};
+
+  if (isInvalidShop(shopifyToken, shop)) {
+    return Promise.reject(
+      new ShopifyTokenValidationError('invalid_shop_domain')
+    );
+  }
+
+  const time = Date.now();
+
+  return request(shopifyToken, {
+    path: '/admin/oauth/access_token',
+    method: 'POST',
+    shop,
+    body: Object.assign({
+      client_secret: shopifyToken.sharedSecret,
+      client_id: shopifyToken.apiKey
+    }, params),
+    signal: options.signal,
+    timeout: options.timeout,
+    agent: options.agent
+  }).then((response) => {
+    let data;
+
+    if (response.statusCode !== 200) {
+      throw new ShopifyTokenHttpError(
+        'Failed to get Shopify access token',
+        response.statusCode,
+        response.body
+      );
+    }
+
+    try {
+      data = JSON.parse(response.body);
+    } catch (e) {
+      throw new ShopifyTokenParseError(
+        'Failed to parse the response body',
+        response.statusCode,
+        response.body
+      );
+    }
+
+    return saveToken(shopifyToken, shop, addExpirationTimes(data, time));
+  });
+}
+
+/**
+ * Validate the query of the confirmation redirect and exchange the
+ * authorization code for an access token.
+ *
+ * @param {ShopifyToken} shopifyToken The `ShopifyToken` instance
+ * @param {Object} query The parsed query string
+ * @param {Object} options The options passed to `handleCallback()`
+ * @return {Promise} Promise which is fulfilled with the access token data
+ * @private
+ */
+function exchangeCallback(shopifyToken, query, options) {
+  options = Object.assign({ maxAge: 600000 }, options);
+
+  //
+  // A state that is only verified with `verifyState()` is not tied to the
+  // user's browser, so it does not prevent CSRF attacks.
+  //
+  if (typeof options.expectedState !== 'string') {
+    return Promise.reject(
+      new TypeError('The `expectedState` option must be a string')
+    );
+  }
+
+  if (query.state !== options.expectedState) {
+    return Promise.reject(new ShopifyTokenValidationError('state_mismatch'));
+  }
+
+  if (!shopifyToken.verifyHmac(query)) {
+    return Promise.reject(new ShopifyTokenValidationError('invalid_hmac'));
+  }
+
+  if (!shopifyToken.isValidShopDomain(query.shop)) {
+    return Promise.reject(
+      new ShopifyTokenValidationError('invalid_shop_domain')
+    );
+  }
+
+  const timestamp = Number(query.timestamp) * 1000;
+
+  if (isNaN(timestamp) || Date.now() - timestamp > options.maxAge) {
+    return Promise.reject(
+      new ShopifyTokenValidationError('expired_timestamp')
+    );
+  }
+
+  return shopifyToken.getAccessToken(query.shop, query.code, options);
+}
+
+/**
+ * Mark an authorization code as consumed and exchange it for an access token.
+ * The mark is removed if the exchange fails, so that the code can be used
+ * again.
+ *
+ * @param {ShopifyToken} shopifyToken The `ShopifyToken` instance
+ * @param {String} key The key of the authorization code in the cache
+ * @param {Function} exchange The function that exchanges the code
+ * @return {Promise} Promise which is fulfilled with the access token data
+ * @private
+ */
+function consumeCode(shopifyToken, key, exchange) {
+  const cache = shopifyToken.codeCache;
+
+  return Promise.resolve().then(() => cache.get(key)).then((consumed) => {
+    if (consumed) {
+      throw new ShopifyTokenValidationError('code_already_used');
+    }
+
+    return Promise.resolve(cache.set(key, true, shopifyToken.codeTtl))
+      .then(exchange)
+      .catch((err) => {
+        return Promise.resolve(cache.delete(key)).then(() => {
+          throw err;
+        });
       });
+  });
+}
+
+/**
+ * Settle with the outcome of a promise, or reject with an `AbortError` if the
+ * signal is aborted first. The promise itself is not affected.
+ *
+ * @param {Promise} promise The promise
+ * @param {AbortSignal} signal The signal
+ * @return {Promise} Promise which is settled like `promise` or rejected when
+ *     `signal` is aborted
+ * @private
+ */
+function raceSignal(promise, signal) {
+  return new Promise((resolve, reject) => {
+    function onAbort() {
+      reject(new AbortError());
+    }
 
-      request.end(data);
+    signal.addEventListener('abort', onAbort);
+    promise.then((data) => {
+      signal.removeEventListener('abort', onAbort);
+      resolve(data);
+    }, (err) => {
+      signal.removeEventListener('abort', onAbort);
+      reject(err);
     });
+  });
+}
+
+/**
+ * Save the access token data in the configured store, if any. A failure to
+ * save the token is reported with the `storeError` event, as the token was
+ * already issued and the authorization code cannot be used again.
+ *
+ * @param {ShopifyToken} shopifyToken The `ShopifyToken` instance
+ * @param {String} shop The hostname of the shop
+ * @param {Object} data The access token data
+ * @return {Promise|Object} The access token data or a promise which is
+ *     fulfilled with it when the token is saved
+ * @private
+ */
+function saveToken(shopifyToken, shop, data) {
+  if (!shopifyToken.store || data === null || typeof data !== 'object') {
+    return data;
   }
+
+  const record = createTokenRecord(shop, data);
+
+  return Promise.resolve()
+    .then(() => shopifyToken.store.set(record.id, record))
+    .then(() => data, (error) => {
+      shopifyToken.emit('storeError', { shop, id: record.id, error });
+      return data;
+    });
 }
 
+/**
+ * Delete all the token records of a shop from the configured store, if any.
+ * A failure of the store is reported with the `storeError` event, as the app
+ * was already uninstalled.
+ *
+ * @param {ShopifyToken} shopifyToken The `ShopifyToken` instance
+ * @param {String} shop The hostname of the shop
+ * @return {Promise} Promise which is fulfilled when the records are deleted
+ * @private
+ */
+function deleteTokens(shopifyToken, shop) {
+  const store = shopifyToken.store;
+
+  if (!store) return Promise.resolve();
+
+  return Promise.resolve()
+    .then(() => store.findByShop(shop))
+    .then((records) => {
+      return Promise.all(records.map((record) => {
+        return Promise.resolve()
+          .then(() => store.delete(record.id))
+          .catch((error) => {
+            shopifyToken.emit('storeError', { shop, id: record.id, error });
+          });
+      }));
+    }, (error) => {
+      shopifyToken.emit('storeError', { shop, error });
+    })
+    .then(() => undefined);
+}
+
+ShopifyToken.AbortError = AbortError;
+ShopifyToken.ShopifyTokenError = ShopifyTokenError;
+ShopifyToken.ShopifyTokenHttpError = ShopifyTokenHttpError;
+ShopifyToken.ShopifyTokenParseError = ShopifyTokenParseError;
+ShopifyToken.ShopifyTokenTimeoutError = ShopifyTokenTimeoutError;
+ShopifyToken.ShopifyTokenValidationError = ShopifyTokenValidationError;
+ShopifyToken.transports = transports;
+ShopifyToken.MemoryStore = MemoryStore;
+ShopifyToken.MemoryCache = MemoryCache;
+ShopifyToken.CustomerAccount = CustomerAccount;
+ShopifyToken.getTokenId = getTokenId;
+ShopifyToken.createMockServer = (options) => {
+  const MockServer = require('./lib/mock-server');
+
+  return new MockServer(options);
+};
+ShopifyToken.createRegistry = (apps, defaults) => {
+  //
+  // The apps that do not match are expected to fail the verification, so
+  // the `hmacFailure` event is not emitted during the lookups.
+  //
+  return new Registry({
+    create: (options) => new ShopifyToken(options),
+    verifyHmac: (shopifyToken, query) => {
+      return checkHmac(shopifyToken, query) === null;
+    },
+    verifyWebhook: (shopifyToken, rawBody, hmacHeader) => {
+      return checkWebhook(shopifyToken, rawBody, hmacHeader) === null;
+    }
+  }, apps, defaults);
+};
+ShopifyToken.parseScopes = parseScopes;
+ShopifyToken.expandScopes = expandScopes;
+ShopifyToken.diffScopes = diffScopes;
+
+//
+// Like the mock server and the middleware, the file store is loaded lazily as
+// it depends on the `fs` module.
+//
+Object.defineProperty(ShopifyToken, 'FileStore', {
+  configurable: true,
+  enumerable: true,
+  get: () => require('./lib/file-store')
+});
+
 module.exports = ShopifyToken;
@@ -0,0 +1,279 @@
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const url = require('url');
+
+const { ShopifyTokenValidationError } = require('./errors');
+
+const usage = `Usage: shopify-token [options]
+
+Obtain an access token for a shop by going through the OAuth flow.
+
+Options:
+  --api-key <key>          The API key of the app (SHOPIFY_API_KEY)
+  --shared-secret <secret> The shared secret of the app (SHOPIFY_API_SECRET)
+  --shop <shop>            The shop, e.g. dolciumi.myshopify.com (SHOPIFY_SHOP)
+  --scopes <scopes>        A comma-separated list of scopes (SHOPIFY_SCOPES)
+  --redirect-uri <uri>     The http: redirect URL, whose port is used by the
+                           local callback server (SHOPIFY_REDIRECT_URI).
+                           Defaults to http://localhost:8080/callback
+  --access-mode <mode>     The API access mode, e.g. per-user
+  --expiring               Request an expiring offline access token
+  --format <format>        The output format, json or env. Defaults to json
+  --output <path>          Write the output to a file instead of stdout
+  --base-url <url>         The URL of the server used instead of the shop,
+                           e.g. the URL of a mock server
+  -h, --help               Show this help
+`;
+
+const flags = {
+  '--access-mode': 'accessMode',
+  '--api-key': 'apiKey',
+  '--base-url': 'baseUrl',
+  '--format': 'format',
+  '--output': 'output',
+  '--redirect-uri': 'redirectUri',
+  '--scopes': 'scopes',
+  '--shared-secret': 'sharedSecret',
+  '--shop': 'shop'
+};
+
+const variables = {
+  apiKey: 'SHOPIFY_API_KEY',
+  redirectUri: 'SHOPIFY_REDIRECT_URI',
+  scopes: 'SHOPIFY_SCOPES',
+  sharedSecret: 'SHOPIFY_API_SECRET',
+  shop: 'SHOPIFY_SHOP'
+};
+
+/**
+ * Parse the command-line arguments.
+ *
+ * @param {String[]} argv The arguments, without the executable and the script
+ * @param {Object} env The environment variables, used for the options that
+ *     are not specified as arguments
+ * @return {Object} The options
+ * @throws {Error} If an argument is not valid or a required option is missing
+ * @public
+ */
+function parseArgs(argv, env) {
+  const options = {
+    redirectUri: 'http://localhost:8080/callback',
+    format: 'json'
+  };
+
+  Object.keys(variables).forEach((name) => {
+    if (env[variables[name]]) options[name] = env[variables[name]];
+  });
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const index = arg.indexOf('=');
+    const flag = index === -1 ? arg : arg.slice(0, index);
+
+    if (flag === '-h' || flag === '--help') return { help: true };
+
+    if (flag === '--expiring') {
+      options.expiring = true;
+      continue;
+    }
+
+    if (!(flag in flags)) throw new Error(`Unknown option: ${flag}`);
+
+    const value = index === -1 ? argv[++i] : arg.slice(index + 1);
+
+    if (!value) throw new Error(`Missing value for option: ${flag}`);
+
+    options[flags[flag]] = value;
+  }
+
+  ['apiKey', 'sharedSecret', 'shop'].forEach((name) => {
+    if (options[name]) return;
+
+    const flag = Object.keys(flags).find((key) => flags[key] === name);
+
+    throw new Error(
+      `Missing required option: ${flag} (or ${variables[name]})`
+    );
+  });
+
+  if (options.format !== 'json' && options.format !== 'env') {
+    throw new Error(`Invalid format: ${options.format}`);
+  }
+
+  //
+  // The local callback server only speaks plain HTTP.
+  //
+  if (url.parse(options.redirectUri).protocol !== 'http:') {
+    throw new Error(
+      `Invalid redirect URI: ${options.redirectUri} (only http: is supported)`
+    );
+  }
+
+  return options;
+}
+
+/**
+ * Format the access token data.
+ *
+ * @param {Object} data The data returned by `shopifyToken.handleCallback()`
+ * @param {String} format The output format, `json` or `env`
+ * @return {String} The formatted data
+ * @public
+ */
+function formatOutput(data, format) {
+  if (format === 'json') return `${JSON.stringify(data, null, 2)}\n`;
+
+  const lines = [
+    `SHOPIFY_SHOP=${data.shop}`,
+    `SHOPIFY_ACCESS_TOKEN=${data.token}`,
+    `SHOPIFY_SCOPES=${data.scope}`
+  ];
+
+  if (data.refreshToken) {
+    lines.push(`SHOPIFY_REFRESH_TOKEN=${data.refreshToken}`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Start a temporary callback server, wait for the confirmation redirect, and
+ * exchange the authorization code for an access token.
+ *
+ * @param {ShopifyToken} shopifyToken The `ShopifyToken` instance
+ * @param {Object} options The options returned by `parseArgs()`
+ * @param {Function} log The function called with the authorization URL once
+ *     the callback server is listening
+ * @return {Promise} Promise which is fulfilled with the data returned by
+ *     `shopifyToken.handleCallback()`
+ * @public
+ */
+function run(shopifyToken, options, log) {
+  const shop = shopifyToken.normalizeShop(options.shop);
+
+  if (!shop) {
+    return Promise.reject(new ShopifyTokenValidationError(
+      'invalid_shop_domain'
+    ));
+  }
+
+  const redirectUri = url.parse(shopifyToken.redirectUri);
+  const state = shopifyToken.createState({ shop });
+
+  return new Promise((resolve, reject) => {
+    const server = http.createServer((req, res) => {
+      const parsed = url.parse(req.url, true);
+
+      if (parsed.pathname !== redirectUri.pathname) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+
+      server.close();
+
+      const query = parsed.query;
+      let promise;
+
+      try {
+        shopifyToken.verifyState(query.state, { shop: query.shop });
+        promise = shopifyToken.handleCallback(query, {
+          expectedState: state,
+          expiring: options.expiring
+        });
+      } catch (err) {
+        promise = Promise.reject(err);
+      }
+
+      promise.then((data) => {
+        res.writeHead(200, {
+          'Content-Type': 'text/plain',
+          Connection: 'close'
+        });
+        res.end('The access token was obtained. You can close this window.\n');
+        resolve(data);
+      }, (err) => {
+        res.writeHead(400, {
+          'Content-Type': 'text/plain',
+          Connection: 'close'
+        });
+        res.end(`${err.message}\n`);
+        reject(err);
+      });
+    });
+
+    server.on('error', reject);
+    server.listen(redirectUri.port || 80, redirectUri.hostname, () => {
+      log(shopifyToken.generateAuthUrl(
+        shop,
+        options.scopes,
+        state,
+        options.accessMode
+      ));
+    });
+  });
+}
+
+/**
+ * Run the command-line tool.
+ *
+ * @param {Function} ShopifyToken The `ShopifyToken` class
+ * @param {String[]} argv The arguments, without the executable and the script
+ * @param {Object} env The environment variables
+ * @param {Object} io An object with the `stdout` and `stderr` writable
+ *     streams
+ * @return {Promise} Promise which is fulfilled with the exit code
+ * @public
+ */
+function main(ShopifyToken, argv, env, io) {
+  let options;
+
+  try {
+    options = parseArgs(argv, env);
+  } catch (err) {
+    io.stderr.write(`${err.message}\n\n${usage}`);
+    return Promise.resolve(1);
+  }
+
+  if (options.help) {
+    io.stdout.write(usage);
+    return Promise.resolve(0);
+  }
+
+  const shopifyToken = new ShopifyToken({
+    sharedSecret: options.sharedSecret,
+    redirectUri: options.redirectUri,
+    apiKey: options.apiKey,
+    baseUrl: options.baseUrl
+  });
+
+  return run(shopifyToken, options, (authUrl) => {
+    io.stderr.write(
+      'Open the following URL in your browser to authorize the app:\n\n' +
+        `${authUrl}\n\n`
+    );
+  }).then((data) => {
+    const output = formatOutput(data, options.format);
+
+    if (options.output === undefined) {
+      io.stdout.write(output);
+      return 0;
+    }
+
+    return new Promise((resolve, reject) => {
+      fs.writeFile(options.output, output, { mode: 0o600 }, (err) => {
+        if (err) return reject(err);
+
+        io.stderr.write(`The access token was written to ${options.output}\n`);
+        resolve(0);
+      });
+    });
+  }).catch((err) => {
+    io.stderr.write(`${err.message}\n`);
+    return 1;
+  });
+}
+
+module.exports = { formatOutput, main, parseArgs, run };
@@ -0,0 +1,195 @@
+'use strict';
+
+let nodeCrypto;
+
+try {
+  nodeCrypto = require('crypto');
+} catch (e) {
+  //
+  // The `crypto` module is not available. Fall back to the Web Crypto API.
+  //
+  nodeCrypto = null;
+}
+
+/**
+ * Encode a string by replacing each instance of the `&` and `%` characters
+ * with `%26` and `%25` respectively.
+ *
+ * @param {String} input The input string
+ * @return {String} The encoded string
+ * @private
+ */
+const encodeValue = (input) => input.replace(/[%&]/g, encodeURIComponent);
+
+/**
+ * Encode a string by replacing each instance of the `&`, `%` and `=` characters
+ * with `%26`, `%25` and `%3D` respectively.
+ *
+ * @param {String} input The input string
+ * @return {String} The encoded string
+ * @private
+ */
+const encodeKey = (input) => input.replace(/[%&=]/g, encodeURIComponent);
+
+/**
+ * Build the message signed by the `hmac` parameter of a query.
+ *
+ * @param {Object} query The parsed query string
+ * @return {String} The message
+ * @public
+ */
+const getHmacMessage = (query) => Object.keys(query)
+  .filter((key) => key !== 'signature' && key !== 'hmac')
+  .map((key) => {
+    const value = Array.isArray(query[key])
+      ? `["${query[key].join('", "')}"]`
+      : String(query[key]);
+
+    return `${encodeKey(key)}=${encodeValue(value)}`;
+  })
+  .sort()
+  .join('&');
+
+/**
+ * Encode a buffer using the base64url alphabet without padding.
+ *
+ * @param {Buffer} buf The buffer to encode
+ * @return {String} The encoded string
+ * @public
+ */
+const base64UrlEncode = (buf) => buf.toString('base64')
+  .replace(/=+$/, '')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_');
+
+/**
+ * Encode bytes as a hex string.
+ *
+ * @param {Uint8Array} bytes The bytes to encode
+ * @return {String} The hex string
+ * @private
+ */
+function toHex(bytes) {
+  let hex = '';
+
+  for (let i = 0; i < bytes.length; i++) {
+    hex += `0${bytes[i].toString(16)}`.slice(-2);
+  }
+
+  return hex;
+}
+
+/**
+ * Decode a hex string.
+ *
+ * @param {String} hex The hex string
+ * @return {Uint8Array} The decoded bytes
+ * @public
+ */
+function fromHex(hex) {
+  const bytes = new Uint8Array(hex.length >>> 1);
+
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+
+  return bytes;
+}
+
+/**
+ * Generate random bytes encoded as a hex string.
+ *
+ * @param {Number} size The number of bytes to generate
+ * @return {String} The hex string
+ * @public
+ */
+function randomHex(size) {
+  if (nodeCrypto) return nodeCrypto.randomBytes(size).toString('hex');
+
+  return toHex(crypto.getRandomValues(new Uint8Array(size)));
+}
+
+/**
+ * Compute an HMAC-SHA256 digest.
+ *
+ * @param {String} secret The secret key
+ * @param {Buffer|String} data The data to sign
+ * @return {Buffer} The digest
+ * @throws {Error} If the `crypto` module is not available
+ * @public
+ */
+function hmac(secret, data) {
+  if (!nodeCrypto) throw new Error('The crypto module is not available');
+
+  return nodeCrypto.createHmac('sha256', secret).update(data).digest();
+}
+
+/**
+ * Compute a SHA-256 digest.
+ *
+ * @param {String} data The data to hash
+ * @return {Buffer} The digest
+ * @throws {Error} If the `crypto` module is not available
+ * @public
+ */
+function sha256(data) {
+  if (!nodeCrypto) throw new Error('The crypto module is not available');
+
+  return nodeCrypto.createHash('sha256').update(data).digest();
+}
+
+/**
+ * Compute an HMAC-SHA256 digest, using the Web Crypto API if the `crypto`
+ * module is not available.
+ *
+ * @param {String} secret The secret key
+ * @param {String} data The data to sign
+ * @return {Promise} Promise which is fulfilled with the digest
+ * @public
+ */
+function hmacAsync(secret, data) {
+  if (nodeCrypto) return Promise.resolve(hmac(secret, data));
+
+  const encoder = new TextEncoder();
+
+  return crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  ).then((key) => {
+    return crypto.subtle.sign('HMAC', key, encoder.encode(data));
+  }).then((digest) => new Uint8Array(digest));
+}
+
+/**
+ * Check whether two buffers have exactly the same bytes without leaking timing
+ * information.
+ *
+ * @param {Uint8Array} a One buffer to be tested for equality
+ * @param {Uint8Array} b The other buffer to be tested for equality
+ * @return {Boolean} `true` if `a` and `b` have exactly the same bytes, else
+ *     `false`
+ * @public
+ */
+function timingSafeEqual(a, b) {
+  let result = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    result |= a[i] ^ b[i];
+  }
+
+  return result === 0;
+}
+
+module.exports = {
+  base64UrlEncode,
+  fromHex,
+  getHmacMessage,
+  hmac,
+  hmacAsync,
+  randomHex,
+  sha256,
+  timingSafeEqual
+};
@@ -0,0 +1,336 @@
+'use strict';
+
+const EventEmitter = require('events');
+const url = require('url');
+
+const transports = require('./transports');
+const { addExpirationTimes } = require('./token-record');
+const { base64UrlEncode, randomHex, sha256 } = require('./crypto');
+const { getOrigin, request } = require('./request');
+const {
+  ShopifyTokenHttpError,
+  ShopifyTokenParseError,
+  ShopifyTokenValidationError
+} = require('./errors');
+
+/**
+ * Build the URL of an endpoint of the authentication server.
+ *
+ * @param {CustomerAccount} customerAccount The `CustomerAccount` instance
+ * @param {String} endpoint The path of the endpoint relative to the shop
+ * @param {Object} [query] The query string parameters
+ * @return {String} The URL
+ * @private
+ */
+function getUrl(customerAccount, endpoint, query) {
+  return url.format(Object.assign({
+    pathname: `/authentication/${customerAccount.shopId}${endpoint}`,
+    query
+  }, getOrigin(customerAccount, 'shopify.com')));
+}
+
+/**
+ * Make a request to the token endpoint.
+ *
+ * @param {CustomerAccount} customerAccount The `CustomerAccount` instance
+ * @param {Object} form The grant specific parameters
+ * @param {Object} [options] The options passed to the method
+ * @return {Promise} Promise which is fulfilled with the token data
+ * @private
+ */
+function requestToken(customerAccount, form, options) {
+  options = options || {};
+
+  const headers = {};
+
+  if (customerAccount.clientSecret) {
+    const credentials = Buffer.from(
+      `${customerAccount.clientId}:${customerAccount.clientSecret}`
+    ).toString('base64');
+
+    headers['Authorization'] = `Basic ${credentials}`;
+  }
+
+  const time = Date.now();
+
+  return request(customerAccount, {
+    path: `/authentication/${customerAccount.shopId}/oauth/token`,
+    method: 'POST',
+    shop: 'shopify.com',
+    headers,
+    form: Object.assign({ client_id: customerAccount.clientId }, form),
+    signal: options.signal,
+    timeout: options.timeout,
+    agent: options.agent
+  }).then((response) => {
+    let data;
+
+    if (response.statusCode !== 200) {
+      throw new ShopifyTokenHttpError(
+        'Failed to get customer access token',
+        response.statusCode,
+        response.body
+      );
+    }
+
+    try {
+      data = JSON.parse(response.body);
+    } catch (e) {
+      throw new ShopifyTokenParseError(
+        'Failed to parse the response body',
+        response.statusCode,
+        response.body
+      );
+    }
+
+    return addExpirationTimes(data, time);
+  });
+}
+
+/**
+ * A client for the OAuth 2.0 and OpenID Connect flow of the Customer Account
+ * API, using PKCE.
+ *
+ * @extends EventEmitter
+ */
+class CustomerAccount extends EventEmitter {
+  /**
+   * Create a CustomerAccount instance.
+   *
+   * @param {Object} options Configuration options
+   * @param {Number|String} options.shopId The id of the shop
+   * @param {String} options.clientId The client ID of the Customer Account API
+   * @param {String} [options.clientSecret] The client secret, for
+   *     confidential clients
+   * @param {String} options.redirectUri The redirect URL for the OAuth flow
+   * @param {Array|String} [options.scopes=openid email
+   *     customer-account-api:full] The list of scopes
+   * @param {Number} [options.timeout=60000] The request timeout
+   * @param {https.Agent} [options.agent] The agent used for all HTTP requests
+   * @param {Number} [options.maxRetries=0] The maximum number of times a
+   *     request is retried on network errors, 429, and 5xx responses
+   * @param {Number} [options.retryDelay=1000] The base delay, in
+   *     milliseconds, of the exponential backoff between retries
+   * @param {Function} [options.transport] The function used to make the HTTPS
+   *     requests
+   * @param {String} [options.baseUrl] The URL of the server used instead of
+   *     `https://shopify.com`
+   */
+  constructor(options) {
+    if (
+        !options
+      || !options.shopId
+      || !options.clientId
+      || !options.redirectUri
+    ) {
+      throw new Error('Missing or invalid options');
+    }
+
+    super();
+
+    this.shopId = options.shopId;
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret;
+    this.redirectUri = options.redirectUri;
+    this.scopes = 'scopes' in options
+      ? options.scopes
+      : 'openid email customer-account-api:full';
+    this.timeout = 'timeout' in options ? options.timeout : 60000;
+    this.agent = options.agent;
+    this.maxRetries = options.maxRetries || 0;
+    this.retryDelay = 'retryDelay' in options ? options.retryDelay : 1000;
+    this.transport = options.transport || transports.https;
+    this.baseUrl = options.baseUrl;
+    this.issuer = getUrl(this, '');
+  }
+
+  /**
+   * Generate a random nonce or state.
+   *
+   * @return {String} The random value
+   * @public
+   */
+  generateNonce() {
+    return randomHex(16);
+  }
+
+  /**
+   * Generate a random PKCE code verifier.
+   *
+   * @return {String} The code verifier
+   * @public
+   */
+  generateCodeVerifier() {
+    return base64UrlEncode(Buffer.from(randomHex(32), 'hex'));
+  }
+
+  /**
+   * Derive the PKCE code challenge from a code verifier.
+   *
+   * @param {String} codeVerifier The code verifier
+   * @return {String} The code challenge, using the `S256` method
+   * @public
+   */
+  generateCodeChallenge(codeVerifier) {
+    return base64UrlEncode(sha256(codeVerifier));
+  }
+
+  /**
+   * Build the authorization URL.
+   *
+   * @param {String} state The state, used to prevent CSRF attacks
+   * @param {String} nonce The nonce, included in the ID token
+   * @param {String} codeChallenge The PKCE code challenge
+   * @param {Object} [options] Options object
+   * @param {Array|String} [options.scopes] The list of scopes, overrides the
+   *     `scopes` option of the instance
+   * @param {String} [options.prompt] The `prompt` parameter, e.g. `none`
+   * @param {String} [options.locale] The `ui_locales` parameter
+   * @return {String} The authorization URL
+   * @public
+   */
+  generateAuthUrl(state, nonce, codeChallenge, options) {
+    options = options || {};
+
+    const scopes = options.scopes !== undefined ? options.scopes : this.scopes;
+    const query = {
+      scope: Array.isArray(scopes) ? scopes.join(' ') : scopes,
+      client_id: this.clientId,
+      response_type: 'code',
+      redirect_uri: this.redirectUri,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    };
+
+    if (options.prompt !== undefined) query.prompt = options.prompt;
+    if (options.locale !== undefined) query.ui_locales = options.locale;
+
+    return getUrl(this, '/oauth/authorize', query);
+  }
+
+  /**
+   * Exchange an authorization code for an access token.
+   *
+   * @param {String} code The authorization code
+   * @param {String} codeVerifier The PKCE code verifier
+   * @param {Object} [options] Options object
+   * @param {AbortSignal} [options.signal] The signal used to abort the request
+   * @param {Number} [options.timeout] The request timeout
+   * @param {https.Agent} [options.agent] The agent used for the request
+   * @return {Promise} Promise which is fulfilled with the access token, the
+   *     refresh token, the ID token, and additional data
+   * @public
+   */
+  getAccessToken(code, codeVerifier, options) {
+    return requestToken(this, {
+      grant_type: 'authorization_code',
+      redirect_uri: this.redirectUri,
+      code,
+      code_verifier: codeVerifier
+    }, options);
+  }
+
+  /**
+   * Exchange a refresh token for a new access token.
+   *
+   * @param {String} refreshToken The refresh token
+   * @param {Object} [options] Options object
+   * @param {AbortSignal} [options.signal] The signal used to abort the request
+   * @param {Number} [options.timeout] The request timeout
+   * @param {https.Agent} [options.agent] The agent used for the request
+   * @return {Promise} Promise which is fulfilled with the new access token,
+   *     refresh token, and additional data
+   * @public
+   */
+  refreshAccessToken(refreshToken, options) {
+    return requestToken(this, {
+      grant_type: 'refresh_token',
+      refresh_token: refreshToken
+    }, options);
+  }
+
+  /**
+   * Decode an ID token and validate its claims. The signature is not verified
+   * as the token is expected to be received directly from the token endpoint
+   * over HTTPS.
+   *
+   * @param {String} idToken The ID token
+   * @param {Object} [options] Options object
+   * @param {String} [options.nonce] The nonce used in the authorization URL.
+   *     If specified, it must match the `nonce` claim
+   * @param {Number} [options.clockTolerance=5] The number of seconds of
+   *     tolerance when checking the `exp` and `iat` claims
+   * @return {Object} The decoded payload
+   * @throws {ShopifyTokenValidationError} If a claim is not valid
+   * @public
+   */
+  verifyIdToken(idToken, options) {
+    options = Object.assign({ clockTolerance: 5 }, options);
+
+    const parts = typeof idToken === 'string' ? idToken.split('.') : [];
+    let payload;
+
+    try {
+      payload = JSON.parse(Buffer.from(parts[1], 'base64').toString());
+    } catch (e) {
+      payload = null;
+    }
+
+    if (parts.length !== 3 || payload === null || typeof payload !== 'object') {
+      throw new ShopifyTokenValidationError('malformed_id_token');
+    }
+
+    if (payload.iss !== this.issuer) {
+      throw new ShopifyTokenValidationError('invalid_id_token_issuer');
+    }
+
+    if ([].concat(payload.aud).indexOf(this.clientId) === -1) {
+      throw new ShopifyTokenValidationError('invalid_id_token_audience');
+    }
+
+    const now = Date.now() / 1000;
+
+    if (
+      typeof payload.exp !== 'number' ||
+      payload.exp <= now - options.clockTolerance
+    ) {
+      throw new ShopifyTokenValidationError('id_token_expired');
+    }
+
+    if (
+      typeof payload.iat === 'number' &&
+      payload.iat > now + options.clockTolerance
+    ) {
+      throw new ShopifyTokenValidationError('id_token_not_yet_valid');
+    }
+
+    if (options.nonce !== undefined && payload.nonce !== options.nonce) {
+      throw new ShopifyTokenValidationError('invalid_id_token_nonce');
+    }
+
+    return payload;
+  }
+
+  /**
+   * Build the URL used to log the customer out.
+   *
+   * @param {String} idToken The ID token of the customer
+   * @param {String} [postLogoutRedirectUri] The URL where the customer is
+   *     redirected after logging out
+   * @return {String} The logout URL
+   * @public
+   */
+  generateLogoutUrl(idToken, postLogoutRedirectUri) {
+    const query = { id_token_hint: idToken };
+
+    if (postLogoutRedirectUri !== undefined) {
+      query.post_logout_redirect_uri = postLogoutRedirectUri;
+    }
+
+    return getUrl(this, '/logout', query);
+  }
+}
+
+module.exports = CustomerAccount;
@@ -0,0 +1,188 @@
+'use strict';
+
+const messages = {
+  code_already_used: 'Authorization code already used',
+  expired_timestamp: 'Expired timestamp',
+  id_token_expired: 'ID token expired',
+  id_token_not_yet_valid: 'ID token not yet valid',
+  invalid_hmac: 'Invalid hmac',
+  invalid_id_token_audience: 'Invalid ID token audience',
+  invalid_id_token_issuer: 'Invalid ID token issuer',
+  invalid_id_token_nonce: 'Invalid ID token nonce',
+  invalid_session_token_audience: 'Invalid session token audience',
+  invalid_session_token_issuer: 'Invalid session token issuer or destination',
+  invalid_session_token_signature: 'Invalid session token signature',
+  invalid_shop_domain: 'Invalid shop domain',
+  invalid_state_signature: 'Invalid state signature',
+  invalid_webhook_hmac: 'Invalid webhook hmac',
+  malformed_id_token: 'Malformed ID token',
+  malformed_session_token: 'Malformed session token',
+  malformed_state: 'Malformed state',
+  session_token_expired: 'Session token expired',
+  session_token_not_yet_valid: 'Session token not yet valid',
+  state_expired: 'State expired',
+  state_mismatch: 'State mismatch',
+  state_shop_mismatch: 'State shop mismatch',
+  unsupported_session_token_algorithm: 'Unsupported session token algorithm'
+};
+
+/**
+ * The base class of the errors created by ShopifyToken.
+ */
+class ShopifyTokenError extends Error {
+  /**
+   * Create a ShopifyTokenError instance.
+   *
+   * @param {String} message The error message
+   * @param {String} code The error code
+   */
+  constructor(message, code) {
+    super(message);
+
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * The error used to reject when a request times out.
+ */
+class ShopifyTokenTimeoutError extends ShopifyTokenError {
+  /**
+   * Create a ShopifyTokenTimeoutError instance.
+   */
+  constructor() {
+    super('Request timed out', 'ERR_SHOPIFY_TOKEN_TIMEOUT');
+  }
+}
+
+/**
+ * The error used to reject when Shopify responds with an unexpected status
+ * code.
+ */
+class ShopifyTokenHttpError extends ShopifyTokenError {
+  /**
+   * Create a ShopifyTokenHttpError instance.
+   *
+   * @param {String} message The error message
+   * @param {Number} statusCode The status code of the response
+   * @param {String} responseBody The body of the response
+   */
+  constructor(message, statusCode, responseBody) {
+    super(message, 'ERR_SHOPIFY_TOKEN_HTTP');
+
+    const details = parseErrorBody(responseBody);
+
+    this.statusCode = statusCode;
+    this.responseBody = responseBody;
+    this.error = details.error;
+    this.errorDescription = details.errorDescription;
+  }
+}
+
+/**
+ * The error used to reject when a body cannot be parsed.
+ */
+class ShopifyTokenParseError extends ShopifyTokenError {
+  /**
+   * Create a ShopifyTokenParseError instance.
+   *
+   * @param {String} message The error message
+   * @param {Number} [statusCode] The status code of the response
+   * @param {String} [responseBody] The body that could not be parsed
+   */
+  constructor(message, statusCode, responseBody) {
+    super(message, 'ERR_SHOPIFY_TOKEN_PARSE');
+
+    this.statusCode = statusCode;
+    this.responseBody = responseBody;
+  }
+}
+
+/**
+ * The error used when a shop, a state, a signature, a code, or a token is not
+ * valid.
+ */
+class ShopifyTokenValidationError extends ShopifyTokenError {
+  /**
+   * Create a ShopifyTokenValidationError instance.
+   *
+   * @param {String} reason A stable identifier of the failed check, e.g.
+   *     `invalid_hmac`
+   */
+  constructor(reason) {
+    super(messages[reason], 'ERR_SHOPIFY_TOKEN_VALIDATION');
+
+    this.reason = reason;
+  }
+}
+
+/**
+ * The error used to reject when a request is aborted via an `AbortSignal`.
+ */
+class AbortError extends Error {
+  /**
+   * Create an AbortError instance.
+   *
+   * @param {String} [message] The error message
+   */
+  constructor(message) {
+    super(message || 'The operation was aborted');
+
+    this.name = 'AbortError';
+    this.code = 'ABORT_ERR';
+  }
+}
+
+/**
+ * Extract the error details from the body of an error response. JSON bodies
+ * like `{ "error": "...", "error_description": "..." }` and
+ * `{ "errors": "..." }` are supported, as well as HTML pages, from which the
+ * title is extracted.
+ *
+ * @param {String} body The body of the response
+ * @return {Object} An object with the `error` and `errorDescription`
+ *     properties
+ * @private
+ */
+function parseErrorBody(body) {
+  const details = { error: null, errorDescription: null };
+  let data;
+
+  try {
+    data = JSON.parse(body);
+  } catch (e) {
+    const match = /<title[^>]*>([^<]*)<\/title>/i.exec(body);
+
+    if (match) {
+      details.errorDescription = match[1].trim() || null;
+    } else if (!/^\s*</.test(body)) {
+      details.errorDescription = body.trim() || null;
+    }
+
+    return details;
+  }
+
+  if (data === null || typeof data !== 'object') return details;
+
+  if (typeof data.error === 'string') details.error = data.error;
+
+  if (typeof data.error_description === 'string') {
+    details.errorDescription = data.error_description;
+  } else if (typeof data.errors === 'string') {
+    details.errorDescription = data.errors;
+  } else if (data.errors !== undefined) {
+    details.errorDescription = JSON.stringify(data.errors);
+  }
+
+  return details;
+}
+
+module.exports = {
+  AbortError,
+  ShopifyTokenError,
+  ShopifyTokenHttpError,
+  ShopifyTokenParseError,
+  ShopifyTokenTimeoutError,
+  ShopifyTokenValidationError
+};
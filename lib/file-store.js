@@ -0,0 +1,182 @@
+'use strict';
+
+const fs = require('fs');
+
+const { isExpired } = require('./token-record');
+
+const hasOwnProperty = Object.prototype.hasOwnProperty;
+
+/**
+ * Read the token records from the file, if not already done.
+ *
+ * @param {FileStore} store The `FileStore` instance
+ * @return {Promise} Promise which is fulfilled with the token records
+ * @private
+ */
+function load(store) {
+  if (store.records) return Promise.resolve(store.records);
+
+  return new Promise((resolve, reject) => {
+    fs.readFile(store.path, 'utf8', (err, data) => {
+      if (err) {
+        if (err.code !== 'ENOENT') return reject(err);
+
+        data = '{}';
+      }
+
+      try {
+        store.records = JSON.parse(data);
+      } catch (e) {
+        return reject(e);
+      }
+
+      resolve(store.records);
+    });
+  });
+}
+
+/**
+ * Write the token records to the file. The records are first written to a
+ * temporary file which is then renamed to prevent partial writes.
+ *
+ * @param {FileStore} store The `FileStore` instance
+ * @return {Promise} Promise which is fulfilled when the file is written
+ * @private
+ */
+function save(store) {
+  const tmp = `${store.path}.tmp`;
+
+  return new Promise((resolve, reject) => {
+    fs.writeFile(
+      tmp,
+      JSON.stringify(store.records, null, 2),
+      { mode: 0o600 },
+      (err) => {
+        if (err) return reject(err);
+
+        fs.rename(tmp, store.path, (err) => {
+          if (err) return reject(err);
+
+          resolve();
+        });
+      }
+    );
+  });
+}
+
+/**
+ * Run an operation after the previous ones have completed.
+ *
+ * @param {FileStore} store The `FileStore` instance
+ * @param {Function} fn The operation, called with the token records
+ * @return {Promise} Promise which is fulfilled with the result of the
+ *     operation
+ * @private
+ */
+function enqueue(store, fn) {
+  const promise = store.queue.then(() => load(store)).then(fn);
+
+  store.queue = promise.catch(() => {});
+  return promise;
+}
+
+/**
+ * A token store that persists the tokens in a JSON file.
+ */
+class FileStore {
+  /**
+   * Create a FileStore instance.
+   *
+   * @param {Object} options Configuration options
+   * @param {String} options.path The path of the JSON file
+   */
+  constructor(options) {
+    if (!options || !options.path) {
+      throw new Error('Missing or invalid options');
+    }
+
+    this.path = options.path;
+    this.records = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Get a token record.
+   *
+   * @param {String} id The token id
+   * @return {Promise} Promise which is fulfilled with the token record or
+   *     `undefined` if it does not exist or is expired
+   * @public
+   */
+  get(id) {
+    return enqueue(this, (records) => {
+      if (!hasOwnProperty.call(records, id)) return;
+
+      const record = records[id];
+
+      if (!isExpired(record)) return record;
+
+      delete records[id];
+      return save(this).then(() => undefined);
+    });
+  }
+
+  /**
+   * Save a token record.
+   *
+   * @param {String} id The token id
+   * @param {Object} record The token record
+   * @return {Promise} Promise which is fulfilled when the record is saved
+   * @public
+   */
+  set(id, record) {
+    return enqueue(this, (records) => {
+      records[id] = record;
+      return save(this);
+    });
+  }
+
+  /**
+   * Delete a token record.
+   *
+   * @param {String} id The token id
+   * @return {Promise} Promise which is fulfilled when the record is deleted
+   * @public
+   */
+  delete(id) {
+    return enqueue(this, (records) => {
+      if (!hasOwnProperty.call(records, id)) return;
+
+      delete records[id];
+      return save(this);
+    });
+  }
+
+  /**
+   * Find all the token records of a shop.
+   *
+   * @param {String} shop The hostname of the shop, e.g. foo.myshopify.com
+   * @return {Promise} Promise which is fulfilled with an array of token
+   *     records
+   * @public
+   */
+  findByShop(shop) {
+    return enqueue(this, (records) => {
+      const result = [];
+      let changed = false;
+
+      Object.keys(records).forEach((id) => {
+        if (isExpired(records[id])) {
+          delete records[id];
+          changed = true;
+        } else if (records[id].shop === shop) {
+          result.push(records[id]);
+        }
+      });
+
+      return changed ? save(this).then(() => result) : result;
+    });
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * A cache that keeps the entries in memory until they expire.
+ */
+class MemoryCache {
+  /**
+   * Create a MemoryCache instance.
+   *
+   * @param {Object} [options] Options object
+   * @param {Number} [options.max=10000] The maximum number of entries to keep
+   */
+  constructor(options) {
+    options = Object.assign({ max: 10000 }, options);
+
+    this.max = options.max;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get the value of an entry.
+   *
+   * @param {String} key The key of the entry
+   * @return {Promise} Promise which is fulfilled with the value or `undefined`
+   *     if the entry does not exist or is expired
+   * @public
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (entry === undefined) return Promise.resolve();
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return Promise.resolve();
+    }
+
+    return Promise.resolve(entry.value);
+  }
+
+  /**
+   * Set the value of an entry.
+   *
+   * @param {String} key The key of the entry
+   * @param {*} value The value of the entry
+   * @param {Number} ttl The number of milliseconds after which the entry
+   *     expires
+   * @return {Promise} Promise which is fulfilled when the entry is set
+   * @public
+   */
+  set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+    //
+    // The entries are in insertion order and most of them have the same TTL,
+    // so the oldest ones are the first to expire.
+    //
+    if (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Delete an entry.
+   *
+   * @param {String} key The key of the entry
+   * @return {Promise} Promise which is fulfilled when the entry is deleted
+   * @public
+   */
+  delete(key) {
+    this.entries.delete(key);
+    return Promise.resolve();
+  }
+}
+
+module.exports = MemoryCache;
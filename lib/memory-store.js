@@ -0,0 +1,102 @@
+'use strict';
+
+const { isExpired } = require('./token-record');
+
+/**
+ * A token store that keeps the tokens in memory and evicts the least recently
+ * used ones when full.
+ */
+class MemoryStore {
+  /**
+   * Create a MemoryStore instance.
+   *
+   * @param {Object} [options] Options object
+   * @param {Number} [options.max=1000] The maximum number of tokens to keep
+   */
+  constructor(options) {
+    options = Object.assign({ max: 1000 }, options);
+
+    this.max = options.max;
+    this.records = new Map();
+  }
+
+  /**
+   * Get a token record.
+   *
+   * @param {String} id The token id
+   * @return {Promise} Promise which is fulfilled with the token record or
+   *     `undefined` if it does not exist or is expired
+   * @public
+   */
+  get(id) {
+    const record = this.records.get(id);
+
+    if (record === undefined) return Promise.resolve();
+
+    this.records.delete(id);
+
+    if (isExpired(record)) return Promise.resolve();
+
+    //
+    // Move the record to the end of the map as it is the most recently used.
+    //
+    this.records.set(id, record);
+
+    return Promise.resolve(record);
+  }
+
+  /**
+   * Save a token record.
+   *
+   * @param {String} id The token id
+   * @param {Object} record The token record
+   * @return {Promise} Promise which is fulfilled when the record is saved
+   * @public
+   */
+  set(id, record) {
+    this.records.delete(id);
+    this.records.set(id, record);
+
+    if (this.records.size > this.max) {
+      this.records.delete(this.records.keys().next().value);
+    }
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Delete a token record.
+   *
+   * @param {String} id The token id
+   * @return {Promise} Promise which is fulfilled when the record is deleted
+   * @public
+   */
+  delete(id) {
+    this.records.delete(id);
+    return Promise.resolve();
+  }
+
+  /**
+   * Find all the token records of a shop.
+   *
+   * @param {String} shop The hostname of the shop, e.g. foo.myshopify.com
+   * @return {Promise} Promise which is fulfilled with an array of token
+   *     records
+   * @public
+   */
+  findByShop(shop) {
+    const records = [];
+
+    this.records.forEach((record, id) => {
+      if (isExpired(record)) {
+        this.records.delete(id);
+      } else if (record.shop === shop) {
+        records.push(record);
+      }
+    });
+
+    return Promise.resolve(records);
+  }
+}
+
+module.exports = MemoryStore;
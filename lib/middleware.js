@@ -0,0 +1,296 @@
+'use strict';
+
+const http = require('http');
+const url = require('url');
+
+const {
+  ShopifyTokenHttpError,
+  ShopifyTokenParseError,
+  ShopifyTokenTimeoutError,
+  ShopifyTokenValidationError
+} = require('./errors');
+
+/**
+ * Parse the `Cookie` header.
+ *
+ * @param {String} [header] The value of the `Cookie` header
+ * @return {Object} An object whose keys are cookie names and values are cookie
+ *     values
+ * @private
+ */
+function parseCookies(header) {
+  const cookies = Object.create(null);
+
+  if (typeof header !== 'string') return cookies;
+
+  header.split(';').forEach((pair) => {
+    const index = pair.indexOf('=');
+
+    if (index === -1) return;
+
+    const name = pair.slice(0, index).trim();
+
+    if (name in cookies) return;
+
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (e) {
+      // Ignore malformed cookies.
+    }
+  });
+
+  return cookies;
+}
+
+/**
+ * Serialize a cookie for the `Set-Cookie` header.
+ *
+ * @param {String} name The cookie name
+ * @param {String} value The cookie value
+ * @param {Object} options Options object
+ * @param {Number} options.maxAge The cookie lifetime in milliseconds
+ * @param {String} options.path The cookie path
+ * @param {Boolean} options.secure Whether or not to set the `Secure` attribute
+ * @return {String} The serialized cookie
+ * @private
+ */
+function serializeCookie(name, value, options) {
+  const attributes = [
+    `${name}=${encodeURIComponent(value)}`,
+    `Max-Age=${Math.floor(options.maxAge / 1000)}`,
+    `Path=${options.path}`,
+    'HttpOnly',
+    'SameSite=Lax'
+  ];
+
+  if (options.secure) attributes.push('Secure');
+
+  return attributes.join('; ');
+}
+
+/**
+ * Handle an error, forwarding it to `next` if available or ending the
+ * response otherwise. The status code is added to the forwarded error as the
+ * `status` property, unless it already has one, so that the error handlers of
+ * Express and Koa use it instead of the status code of the Shopify response.
+ *
+ * @param {http.ServerResponse} res The response
+ * @param {Function} [next] The next middleware
+ * @param {Number} status The status code of the response
+ * @param {Error} err The error
+ * @private
+ */
+function fail(res, next, status, err) {
+  if (typeof next === 'function') {
+    if (err instanceof Error && err.status === undefined) err.status = status;
+    return next(err);
+  }
+
+  if (res.headersSent) return res.end();
+
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'text/plain');
+  res.end(http.STATUS_CODES[status]);
+}
+
+/**
+ * Get the status code of the response used when the confirmation redirect
+ * cannot be handled.
+ *
+ * @param {Error} err The error
+ * @return {Number} The status code
+ * @private
+ */
+function getStatusCode(err) {
+  if (err instanceof ShopifyTokenValidationError) return 400;
+  if (err instanceof ShopifyTokenTimeoutError) return 504;
+
+  //
+  // A 4xx response from Shopify means that the code is not valid, while a 5xx
+  // response, an unparsable body, or a network error is an upstream failure.
+  //
+  if (err instanceof ShopifyTokenHttpError) {
+    return err.statusCode < 500 ? 400 : 502;
+  }
+
+  if (err instanceof ShopifyTokenParseError || err.syscall !== undefined) {
+    return 502;
+  }
+
+  return 500;
+}
+
+/**
+ * Adapt a handler to the Koa middleware signature.
+ *
+ * @param {Function} handler The handler
+ * @return {Function} The Koa middleware
+ * @private
+ */
+function toKoa(handler) {
+  return (ctx) => {
+    let error;
+
+    //
+    // Let the handler write the response directly.
+    //
+    ctx.respond = false;
+
+    return handler(ctx.req, ctx.res, (err) => {
+      error = err;
+    }).then(() => {
+      if (error) {
+        ctx.respond = true;
+        throw error;
+      }
+    });
+  };
+}
+
+/**
+ * Create handlers that implement the OAuth flow.
+ *
+ * @param {ShopifyToken} shopifyToken The `ShopifyToken` instance
+ * @param {Object} options Options object
+ * @param {Function} options.afterAuth The function called with the request,
+ *     the response, and the access token data, augmented with the `shop`
+ *     property, after the authorization succeeds
+ * @param {Array|String} [options.scopes] The list of scopes
+ * @param {String} [options.accessMode] The API access mode
+ * @param {String} [options.cookieName=shopify_token_state] The name of the
+ *     state cookie
+ * @param {String} [options.cookiePath=/] The path of the state cookie
+ * @param {Boolean} [options.secure=true] Whether or not to set the `Secure`
+ *     attribute of the state cookie
+ * @param {Number} [options.ttl=600000] The number of milliseconds after which
+ *     the state expires
+ * @param {Number} [options.maxAge] The maximum age, in milliseconds, of the
+ *     `timestamp` parameter
+ * @param {Function} exchange The function called with the query and the
+ *     options of `handleCallback()` that validates the confirmation redirect
+ *     and resolves with the access token data
+ * @return {Object} An object with the `begin` and `callback` handlers
+ * @public
+ */
+function createMiddleware(shopifyToken, options, exchange) {
+  options = Object.assign({
+    cookieName: 'shopify_token_state',
+    cookiePath: '/',
+    secure: true,
+    ttl: 600000
+  }, options);
+
+  if (typeof options.afterAuth !== 'function') {
+    throw new TypeError('The `afterAuth` option must be a function');
+  }
+
+  const cookieOptions = {
+    maxAge: options.ttl,
+    path: options.cookiePath,
+    secure: options.secure
+  };
+
+  /**
+   * Redirect the user to the authorization URL.
+   *
+   * @param {http.IncomingMessage} req The request
+   * @param {http.ServerResponse} res The response
+   * @param {Function} [next] The next middleware
+   * @return {Promise} Promise which is fulfilled when the request is handled
+   * @public
+   */
+  function begin(req, res, next) {
+    const query = url.parse(req.url, true).query;
+    const shop = shopifyToken.normalizeShop(query.shop);
+
+    if (!shop) {
+      fail(
+        res,
+        next,
+        400,
+        new ShopifyTokenValidationError('invalid_shop_domain')
+      );
+      return Promise.resolve();
+    }
+
+    const state = shopifyToken.createState({ shop, ttl: options.ttl });
+
+    res.statusCode = 302;
+    res.setHeader(
+      'Set-Cookie',
+      serializeCookie(options.cookieName, state, cookieOptions)
+    );
+    res.setHeader('Location', shopifyToken.generateAuthUrl(
+      shop,
+      options.scopes,
+      state,
+      options.accessMode
+    ));
+    res.end();
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Validate the confirmation redirect, get the access token, and call the
+   * `afterAuth` hook.
+   *
+   * @param {http.IncomingMessage} req The request
+   * @param {http.ServerResponse} res The response
+   * @param {Function} [next] The next middleware
+   * @return {Promise} Promise which is fulfilled when the request is handled
+   * @public
+   */
+  function callback(req, res, next) {
+    const query = url.parse(req.url, true).query;
+    const state = parseCookies(req.headers.cookie)[options.cookieName];
+
+    if (!state || state !== query.state) {
+      fail(res, next, 403, new ShopifyTokenValidationError('state_mismatch'));
+      return Promise.resolve();
+    }
+
+    try {
+      shopifyToken.verifyState(state, { shop: query.shop });
+    } catch (err) {
+      fail(res, next, 400, err);
+      return Promise.resolve();
+    }
+
+    const callbackOptions = { expectedState: state };
+
+    if (options.maxAge !== undefined) callbackOptions.maxAge = options.maxAge;
+
+    return exchange(query, callbackOptions).then((data) => {
+      res.setHeader(
+        'Set-Cookie',
+        serializeCookie(
+          options.cookieName,
+          '',
+          Object.assign({}, cookieOptions, { maxAge: 0 })
+        )
+      );
+
+      return Promise.resolve()
+        .then(() => {
+          return options.afterAuth(
+            req,
+            res,
+            Object.assign({ shop: query.shop }, data)
+          );
+        })
+        .catch((err) => fail(res, next, 500, err));
+    }, (err) => fail(res, next, getStatusCode(err), err));
+  }
+
+  return {
+    begin,
+    callback,
+    koa: {
+      begin: toKoa(begin),
+      callback: toKoa(callback)
+    }
+  };
+}
+
+module.exports = createMiddleware;
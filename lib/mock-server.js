@@ -0,0 +1,438 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const url = require('url');
+
+const { getHmacMessage, hmac, randomHex } = require('./crypto');
+
+const ONLINE_ACCESS_TOKEN =
+  'urn:shopify:params:oauth:token-type:online-access-token';
+const TOKEN_EXCHANGE = 'urn:ietf:params:oauth:grant-type:token-exchange';
+
+/**
+ * Send a JSON response.
+ *
+ * @param {http.ServerResponse} res The response
+ * @param {Number} statusCode The status code
+ * @param {*} body The body, serialized as JSON
+ * @private
+ */
+function sendJson(res, statusCode, body) {
+  const data = JSON.stringify(body);
+
+  res.writeHead(statusCode, {
+    'Content-Length': Buffer.byteLength(data),
+    'Content-Type': 'application/json',
+    Connection: 'close'
+  });
+  res.end(data);
+}
+
+/**
+ * Send the response used when the access token is not valid.
+ *
+ * @param {http.ServerResponse} res The response
+ * @private
+ */
+function unauthorized(res) {
+  sendJson(res, 401, { errors: '[API] Invalid API key or access token' });
+}
+
+/**
+ * Read and parse the JSON body of a request.
+ *
+ * @param {http.IncomingMessage} req The request
+ * @param {Function} callback The function called with the parsed body or
+ *     `null` if it is not a valid JSON object
+ * @private
+ */
+function readBody(req, callback) {
+  const chunks = [];
+
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    let body;
+
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString());
+    } catch (e) {
+      return callback(null);
+    }
+
+    callback(body !== null && typeof body === 'object' ? body : null);
+  });
+}
+
+/**
+ * Remove and return the first injected failure that matches a path.
+ *
+ * @param {MockServer} server The `MockServer` instance
+ * @param {String} pathname The path of the request
+ * @return {Object|undefined} The failure
+ * @private
+ */
+function takeFailure(server, pathname) {
+  const index = server.failures.findIndex((failure) => {
+    return failure.path === undefined || failure.path === pathname;
+  });
+
+  if (index === -1) return;
+
+  const failure = server.failures[index];
+
+  if (--failure.times === 0) server.failures.splice(index, 1);
+
+  return failure;
+}
+
+/**
+ * Issue an access token.
+ *
+ * @param {MockServer} server The `MockServer` instance
+ * @param {String} scope The granted scopes
+ * @param {Boolean} online Whether or not to issue an online access token
+ * @param {Boolean} expiring Whether or not to issue an expiring offline
+ *     access token
+ * @return {Object} The access token data
+ * @private
+ */
+function issueToken(server, scope, online, expiring) {
+  const data = {
+    access_token: `${online ? 'shpua' : 'shpat'}_${randomHex(16)}`,
+    scope
+  };
+
+  if (online) {
+    data.expires_in = 86399;
+    data.associated_user_scope = scope;
+    data.associated_user = {
+      id: 902541635,
+      first_name: 'John',
+      last_name: 'Smith',
+      email: 'john@example.com',
+      email_verified: true,
+      account_owner: true,
+      locale: 'en',
+      collaborator: false
+    };
+  } else if (expiring) {
+    data.expires_in = 3600;
+    data.refresh_token = `shprt_${randomHex(16)}`;
+    data.refresh_token_expires_in = 7776000;
+    server.refreshTokens.set(data.refresh_token, {
+      accessToken: data.access_token,
+      scope
+    });
+  }
+
+  server.tokens.set(data.access_token, { scope });
+
+  return data;
+}
+
+/**
+ * Handle a request to the authorization endpoint.
+ *
+ * @param {MockServer} server The `MockServer` instance
+ * @param {Object} query The parsed query string
+ * @param {http.ServerResponse} res The response
+ * @private
+ */
+function authorize(server, query, res) {
+  if (query.client_id !== server.apiKey || !query.redirect_uri) {
+    return sendJson(res, 400, { errors: 'Invalid client_id or redirect_uri' });
+  }
+
+  const handle = server.shop.split('.')[0];
+  const params = {
+    code: server.createCode({
+      scope: query.scope || server.scope,
+      online: query['grant_options[]'] === 'per-user'
+    }),
+    host: Buffer.from(`admin.shopify.com/store/${handle}`)
+      .toString('base64')
+      .replace(/=+$/, ''),
+    shop: server.shop,
+    state: query.state,
+    timestamp: String(Math.floor(Date.now() / 1000))
+  };
+
+  if (params.state === undefined) delete params.state;
+
+  const location = url.parse(query.redirect_uri, true);
+
+  //
+  // The query string of the redirect URI is also signed, like Shopify does.
+  //
+  delete location.search;
+  location.query = Object.assign(location.query, params);
+  location.query.hmac = hmac(
+    server.sharedSecret,
+    getHmacMessage(location.query)
+  ).toString('hex');
+
+  res.writeHead(302, {
+    Location: url.format(location),
+    Connection: 'close'
+  });
+  res.end();
+}
+
+/**
+ * Handle a request to the access token endpoint.
+ *
+ * @param {MockServer} server The `MockServer` instance
+ * @param {Object|null} body The parsed body
+ * @param {http.ServerResponse} res The response
+ * @private
+ */
+function accessToken(server, body, res) {
+  if (
+    body === null ||
+    body.client_id !== server.apiKey ||
+    body.client_secret !== server.sharedSecret
+  ) {
+    return sendJson(res, 400, {
+      error: 'invalid_client',
+      error_description: 'Invalid client credentials'
+    });
+  }
+
+  const expiring = !!body.expiring;
+
+  if (body.grant_type === undefined) {
+    const grant = server.codes.get(body.code);
+
+    if (!grant) {
+      return sendJson(res, 400, {
+        error: 'invalid_request',
+        error_description:
+          'The authorization code was not found or was already used'
+      });
+    }
+
+    server.codes.delete(body.code);
+
+    return sendJson(
+      res,
+      200,
+      issueToken(server, grant.scope, grant.online, expiring)
+    );
+  }
+
+  if (body.grant_type === TOKEN_EXCHANGE) {
+    if (typeof body.subject_token !== 'string' || !body.subject_token) {
+      return sendJson(res, 400, {
+        error: 'invalid_subject_token',
+        error_description: 'The session token is not valid'
+      });
+    }
+
+    return sendJson(res, 200, issueToken(
+      server,
+      server.scope,
+      body.requested_token_type === ONLINE_ACCESS_TOKEN,
+      expiring
+    ));
+  }
+
+  if (body.grant_type === 'refresh_token') {
+    const grant = server.refreshTokens.get(body.refresh_token);
+
+    if (!grant) {
+      return sendJson(res, 400, {
+        error: 'invalid_grant',
+        error_description: 'The refresh token is not valid'
+      });
+    }
+
+    server.refreshTokens.delete(body.refresh_token);
+    server.tokens.delete(grant.accessToken);
+
+    return sendJson(res, 200, issueToken(server, grant.scope, false, true));
+  }
+
+  sendJson(res, 400, {
+    error: 'unsupported_grant_type',
+    error_description: 'The grant type is not supported'
+  });
+}
+
+/**
+ * Handle a request.
+ *
+ * @param {MockServer} server The `MockServer` instance
+ * @param {http.IncomingMessage} req The request
+ * @param {http.ServerResponse} res The response
+ * @private
+ */
+function handle(server, req, res) {
+  const parsed = url.parse(req.url, true);
+  const route = `${req.method} ${parsed.pathname}`;
+  const failure = takeFailure(server, parsed.pathname);
+  const delay = server.delay + (failure ? failure.delay : 0);
+
+  readBody(req, (body) => {
+    setTimeout(() => {
+      if (failure && failure.statusCode !== undefined) {
+        return sendJson(res, failure.statusCode, failure.body);
+      }
+
+      const token = server.tokens.get(req.headers['x-shopify-access-token']);
+
+      switch (route) {
+        case 'GET /admin/oauth/authorize':
+          return authorize(server, parsed.query, res);
+        case 'POST /admin/oauth/access_token':
+          return accessToken(server, body, res);
+        case 'GET /admin/oauth/access_scopes.json':
+          if (!token) return unauthorized(res);
+
+          return sendJson(res, 200, {
+            access_scopes: token.scope.split(',').map((handle) => {
+              return { handle };
+            })
+          });
+        case 'DELETE /admin/api_permissions/current.json':
+          if (!token) return unauthorized(res);
+
+          server.tokens.clear();
+          server.refreshTokens.clear();
+          return sendJson(res, 200, {});
+        default:
+          sendJson(res, 404, { errors: 'Not Found' });
+      }
+    }, delay);
+  });
+}
+
+/**
+ * A local server that mimics the OAuth endpoints of a Shopify shop.
+ */
+class MockServer {
+  /**
+   * Create a MockServer instance.
+   *
+   * @param {Object} options Configuration options
+   * @param {String} options.apiKey The API Key of the app
+   * @param {String} options.sharedSecret The Shared Secret of the app
+   * @param {String} [options.shop=mock-shop.myshopify.com] The hostname of
+   *     the shop
+   * @param {String} [options.scope=read_content] The scopes granted to the
+   *     tokens obtained with a session token
+   * @param {Number} [options.delay=0] The number of milliseconds to wait
+   *     before each response
+   * @param {Object} [options.https] Options for `https.createServer()`. If
+   *     specified, the server uses HTTPS
+   */
+  constructor(options) {
+    if (!options || !options.apiKey || !options.sharedSecret) {
+      throw new Error('Missing or invalid options');
+    }
+
+    this.apiKey = options.apiKey;
+    this.sharedSecret = options.sharedSecret;
+    this.shop = options.shop || 'mock-shop.myshopify.com';
+    this.scope = options.scope || 'read_content';
+    this.delay = options.delay || 0;
+    this.codes = new Map();
+    this.tokens = new Map();
+    this.refreshTokens = new Map();
+    this.failures = [];
+    this.url = null;
+
+    const handler = (req, res) => handle(this, req, res);
+
+    this.server = options.https
+      ? https.createServer(options.https, handler)
+      : http.createServer(handler);
+  }
+
+  /**
+   * Start listening for connections.
+   *
+   * @param {Number} [port=0] The port to listen on
+   * @param {String} [hostname=127.0.0.1] The hostname to listen on
+   * @return {Promise} Promise which is fulfilled with the URL of the server
+   * @public
+   */
+  listen(port, hostname) {
+    hostname = hostname || '127.0.0.1';
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port || 0, hostname, () => {
+        const protocol = this.server instanceof https.Server
+          ? 'https:'
+          : 'http:';
+
+        this.server.removeListener('error', reject);
+        this.url = `${protocol}//${hostname}:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stop the server. The responses are sent with the `Connection: close`
+   * header, so no idle connection prevents the server from closing.
+   *
+   * @return {Promise} Promise which is fulfilled when the server is closed
+   * @public
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      this.server.close((err) => {
+        if (err) return reject(err);
+
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Create an authorization code without going through the authorization
+   * endpoint.
+   *
+   * @param {Object} [options] Options object
+   * @param {String} [options.scope] The scopes granted to the access token
+   * @param {Boolean} [options.online=false] Whether or not the code is
+   *     exchanged for an online access token
+   * @return {String} The authorization code
+   * @public
+   */
+  createCode(options) {
+    options = Object.assign({ scope: this.scope, online: false }, options);
+
+    const code = randomHex(16);
+
+    this.codes.set(code, { scope: options.scope, online: options.online });
+
+    return code;
+  }
+
+  /**
+   * Make the next requests fail or be delayed.
+   *
+   * @param {Object} [options] Options object
+   * @param {String} [options.path] The path of the requests to fail. If not
+   *     specified, any request fails
+   * @param {Number} [options.statusCode] The status code of the response. If
+   *     not specified, the requests are only delayed
+   * @param {*} [options.body] The body of the response, serialized as JSON
+   * @param {Number} [options.delay=0] The number of milliseconds to wait
+   *     before the response
+   * @param {Number} [options.times=1] The number of requests to fail
+   * @public
+   */
+  injectFailure(options) {
+    this.failures.push(Object.assign({
+      body: { errors: 'Injected failure' },
+      delay: 0,
+      times: 1
+    }, options));
+  }
+}
+
+module.exports = MockServer;
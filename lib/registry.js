@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * Find the first app that satisfies a condition.
+ *
+ * @param {Registry} registry The `Registry` instance
+ * @param {Function} test The function called with each `ShopifyToken`
+ *     instance that returns `true` if the app matches
+ * @return {Object|null} An object with the `name` and `shopifyToken`
+ *     properties, or `null` if no app matches
+ * @private
+ */
+function find(registry, test) {
+  for (const entry of registry.apps) {
+    if (test(entry[1])) return { name: entry[0], shopifyToken: entry[1] };
+  }
+
+  return null;
+}
+
+/**
+ * A registry of apps, each with its own `ShopifyToken` instance.
+ */
+class Registry {
+  /**
+   * Create a Registry instance.
+   *
+   * @param {Object} methods Methods object
+   * @param {Function} methods.create The function called with the options of
+   *     an app that returns a `ShopifyToken` instance
+   * @param {Function} methods.verifyHmac The function called with a
+   *     `ShopifyToken` instance and a query string that verifies the hmac
+   *     without emitting the `hmacFailure` event
+   * @param {Function} methods.verifyWebhook The function called with a
+   *     `ShopifyToken` instance, the raw body, and the hmac header of a webhook
+   *     that verifies the hmac without emitting the `hmacFailure` event
+   * @param {Object} [apps] An object whose keys are app names and values are
+   *     the options of the apps
+   * @param {Object} [defaults] The options shared by all the apps
+   */
+  constructor(methods, apps, defaults) {
+    this.methods = methods;
+    this.defaults = defaults;
+    this.apps = new Map();
+
+    if (apps) {
+      Object.keys(apps).forEach((name) => this.add(name, apps[name]));
+    }
+  }
+
+  /**
+   * Add an app.
+   *
+   * @param {String} name The name of the app
+   * @param {Object} options The options of the app, merged with the defaults
+   * @return {ShopifyToken} The `ShopifyToken` instance of the app
+   * @throws {Error} If the name or the API key is already used by another app
+   * @public
+   */
+  add(name, options) {
+    if (this.apps.has(name)) {
+      throw new Error(`An app named "${name}" already exists`);
+    }
+
+    const shopifyToken = this.methods.create(
+      Object.assign({}, this.defaults, options)
+    );
+
+    if (this.findByApiKey(shopifyToken.apiKey)) {
+      throw new Error(
+        `An app with API key "${shopifyToken.apiKey}" already exists`
+      );
+    }
+
+    this.apps.set(name, shopifyToken);
+
+    return shopifyToken;
+  }
+
+  /**
+   * Get an app by name.
+   *
+   * @param {String} name The name of the app
+   * @return {ShopifyToken|undefined} The `ShopifyToken` instance of the app
+   * @public
+   */
+  get(name) {
+    return this.apps.get(name);
+  }
+
+  /**
+   * Remove an app.
+   *
+   * @param {String} name The name of the app
+   * @return {Boolean} `true` if the app was removed, else `false`
+   * @public
+   */
+  delete(name) {
+    return this.apps.delete(name);
+  }
+
+  /**
+   * Get the names of the apps.
+   *
+   * @return {String[]} The names of the apps
+   * @public
+   */
+  names() {
+    return Array.from(this.apps.keys());
+  }
+
+  /**
+   * Find an app by API key, also known as client ID.
+   *
+   * @param {String} apiKey The API key
+   * @return {Object|null} An object with the `name` and `shopifyToken`
+   *     properties, or `null` if no app matches
+   * @public
+   */
+  findByApiKey(apiKey) {
+    return find(this, (shopifyToken) => shopifyToken.apiKey === apiKey);
+  }
+
+  /**
+   * Find the app that signed a query string, like the one of the confirmation
+   * redirect. If the query has the `client_id` parameter, only the app with
+   * that API key is tried.
+   *
+   * @param {Object} query The parsed query string
+   * @return {Object|null} An object with the `name` and `shopifyToken`
+   *     properties, or `null` if no app matches
+   * @public
+   */
+  findByHmac(query) {
+    const verifyHmac = this.methods.verifyHmac;
+
+    if (typeof query.client_id === 'string') {
+      const entry = this.findByApiKey(query.client_id);
+
+      return entry && verifyHmac(entry.shopifyToken, query) ? entry : null;
+    }
+
+    return find(this, (shopifyToken) => verifyHmac(shopifyToken, query));
+  }
+
+  /**
+   * Find the app that signed a webhook.
+   *
+   * @param {Buffer|String} rawBody The raw body of the request
+   * @param {String} hmacHeader The value of the `X-Shopify-Hmac-Sha256` header
+   * @return {Object|null} An object with the `name` and `shopifyToken`
+   *     properties, or `null` if no app matches
+   * @public
+   */
+  findByWebhook(rawBody, hmacHeader) {
+    return find(this, (shopifyToken) => {
+      return this.methods.verifyWebhook(shopifyToken, rawBody, hmacHeader);
+    });
+  }
+}
+
+module.exports = Registry;
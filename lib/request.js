@@ -0,0 +1,291 @@
+'use strict';
+
+const querystring = require('querystring');
+const url = require('url');
+
+const { AbortError, ShopifyTokenTimeoutError } = require('./errors');
+
+/**
+ * The names, in lowercase, of the parameters and headers whose values are
+ * redacted in the event data.
+ *
+ * @private
+ */
+const sensitiveKeys = new Set([
+  'access_token',
+  'authorization',
+  'client_secret',
+  'code',
+  'code_verifier',
+  'refresh_token',
+  'subject_token',
+  'x-shopify-access-token'
+]);
+
+/**
+ * Copy an object replacing the values of the sensitive keys.
+ *
+ * @param {Object} [object] The object to copy
+ * @return {Object|undefined} The copy
+ * @private
+ */
+const redact = (object) => {
+  if (!object) return;
+
+  const copy = {};
+
+  Object.keys(object).forEach((key) => {
+    copy[key] = sensitiveKeys.has(key.toLowerCase())
+      ? '[REDACTED]'
+      : object[key];
+  });
+
+  return copy;
+};
+
+/**
+ * Get the protocol, the hostname, and the port of the server that handles the
+ * requests for a shop.
+ *
+ * @param {ShopifyToken|CustomerAccount} client The client
+ * @param {String} shop The hostname of the shop
+ * @return {Object} An object with the `protocol`, `hostname`, and `port`
+ *     properties
+ * @public
+ */
+function getOrigin(client, shop) {
+  if (!client.baseUrl) {
+    return { protocol: 'https:', hostname: shop, port: undefined };
+  }
+
+  const parsed = url.parse(client.baseUrl);
+
+  return {
+    protocol: parsed.protocol,
+    hostname: parsed.hostname,
+    port: parsed.port || undefined
+  };
+}
+
+/**
+ * Parse the value of the `Retry-After` header.
+ *
+ * @param {String} [value] The value of the header
+ * @return {Number|undefined} The number of milliseconds to wait or `undefined`
+ *     if the value is missing or invalid
+ * @private
+ */
+function parseRetryAfter(value) {
+  if (typeof value !== 'string') return;
+
+  if (/^\d+$/.test(value)) return Number(value) * 1000;
+
+  const date = Date.parse(value);
+
+  if (!isNaN(date)) return Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Wait for a given number of milliseconds.
+ *
+ * @param {Number} delay The number of milliseconds to wait
+ * @param {AbortSignal} [signal] The signal used to stop waiting
+ * @return {Promise} Promise which is fulfilled after `delay` milliseconds
+ * @private
+ */
+function sleep(delay, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+
+    function onAbort() {
+      clearTimeout(timer);
+      reject(new AbortError());
+    }
+
+    if (signal) signal.addEventListener('abort', onAbort);
+  });
+}
+
+/**
+ * Make a single HTTPS request with the configured transport.
+ *
+ * @param {ShopifyToken|CustomerAccount} client The client
+ * @param {Object} options The request options
+ * @param {Number} timeout The number of milliseconds after which the request
+ *     is aborted
+ * @return {Promise} Promise which is fulfilled with the status code, the
+ *     headers, and the body of the response
+ * @private
+ */
+function send(client, options, timeout) {
+  return new Promise((resolve, reject) => {
+    const signal = options.signal;
+
+    if (signal && signal.aborted) return reject(new AbortError());
+
+    const headers = {};
+    let body;
+
+    if (options.form !== undefined) {
+      body = querystring.stringify(options.form);
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+    } else if (options.body !== undefined) {
+      body = JSON.stringify(options.body);
+      headers['Content-Type'] = 'application/json';
+    }
+
+    headers['Accept'] = 'application/json';
+
+    const request = client.transport(Object.assign({
+      headers: Object.assign(headers, options.headers),
+      path: options.path,
+      method: options.method,
+      body,
+      agent: options.agent !== undefined ? options.agent : client.agent
+    }, getOrigin(client, options.shop)));
+
+    let timer = setTimeout(() => {
+      abort(new ShopifyTokenTimeoutError());
+    }, timeout);
+
+    function cleanup() {
+      clearTimeout(timer);
+      timer = null;
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+
+    function abort(err) {
+      cleanup();
+      request.abort();
+      reject(err);
+    }
+
+    function onAbort() {
+      abort(new AbortError());
+    }
+
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    request.response.then((response) => {
+      if (!timer) return;
+
+      cleanup();
+      resolve(response);
+    }, (err) => {
+      if (!timer) return;
+
+      cleanup();
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Make an HTTPS request to a shop, retrying it on network errors, 429, and 5xx
+ * responses. The retries are made within the deadline set by the `timeout`
+ * option.
+ *
+ * @param {ShopifyToken|CustomerAccount} client The client
+ * @param {Object} options The request options
+ * @param {String} options.shop The hostname of the shop
+ * @param {String} options.method The request method
+ * @param {String} options.path The request path
+ * @param {Object} [options.headers] Additional request headers
+ * @param {Object} [options.body] The request body, serialized as JSON
+ * @param {Object} [options.form] The request body, serialized as
+ *     `application/x-www-form-urlencoded`. Takes precedence over `body`
+ * @param {AbortSignal} [options.signal] The signal used to abort the request
+ * @param {Number} [options.timeout] The request timeout, overrides the
+ *     `timeout` option of the instance
+ * @param {https.Agent} [options.agent] The agent, overrides the `agent`
+ *     option of the instance
+ * @return {Promise} Promise which is fulfilled with the status code, the
+ *     headers, and the body of the response
+ * @public
+ */
+function request(client, options) {
+  const deadline = Date.now() + (options.timeout !== undefined
+    ? options.timeout
+    : client.timeout);
+
+  function describe(retries, data) {
+    return Object.assign({
+      shop: options.shop,
+      method: options.method,
+      path: options.path,
+      attempt: retries + 1
+    }, data);
+  }
+
+  function retry(retries, delay, outcome, giveUp) {
+    if (delay === undefined) {
+      delay = Math.random() *
+        client.retryDelay *
+        Math.pow(2, retries);
+    }
+
+    if (
+      retries >= client.maxRetries ||
+      Date.now() + delay >= deadline
+    ) {
+      return giveUp();
+    }
+
+    client.emit(
+      'retry',
+      describe(retries + 1, Object.assign({ delay }, outcome))
+    );
+
+    return sleep(delay, options.signal).then(() => attempt(retries + 1));
+  }
+
+  function attempt(retries) {
+    const start = Date.now();
+
+    client.emit('request', describe(retries, {
+      headers: redact(options.headers),
+      body: redact(options.form || options.body)
+    }));
+
+    return send(client, options, deadline - Date.now()).then(
+      (response) => {
+        const outcome = { statusCode: response.statusCode, error: null };
+
+        client.emit('response', describe(retries, Object.assign({
+          duration: Date.now() - start
+        }, outcome)));
+
+        if (response.statusCode !== 429 && response.statusCode < 500) {
+          return response;
+        }
+
+        return retry(
+          retries,
+          parseRetryAfter(response.headers['retry-after']),
+          outcome,
+          () => response
+        );
+      },
+      (err) => {
+        const outcome = { statusCode: null, error: err };
+
+        client.emit('response', describe(retries, Object.assign({
+          duration: Date.now() - start
+        }, outcome)));
+
+        if (err instanceof AbortError) throw err;
+
+        return retry(retries, undefined, outcome, () => {
+          throw err;
+        });
+      }
+    );
+  }
+
+  return attempt(0);
+}
+
+module.exports = { getOrigin, request };
@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * Parse a list of scopes.
+ *
+ * @param {Array|String} [scopes] An array of scopes or a comma-separated
+ *     string
+ * @return {String[]} The sorted list of unique scopes
+ * @public
+ */
+function parseScopes(scopes) {
+  const list = (Array.isArray(scopes) ? scopes.join(',') : scopes || '')
+    .split(',')
+    .map((scope) => scope.trim())
+    .filter(Boolean);
+
+  return Array.from(new Set(list)).sort();
+}
+
+/**
+ * Parse a list of scopes and add the ones implied by them. A `write_*` scope
+ * implies the corresponding `read_*` scope and an `unauthenticated_write_*`
+ * scope implies the corresponding `unauthenticated_read_*` scope.
+ *
+ * @param {Array|String} [scopes] An array of scopes or a comma-separated
+ *     string
+ * @return {String[]} The sorted list of unique scopes
+ * @public
+ */
+function expandScopes(scopes) {
+  const list = parseScopes(scopes);
+
+  list.forEach((scope) => {
+    const match = /^(unauthenticated_)?write_(.+)$/.exec(scope);
+
+    if (match) list.push(`${match[1] || ''}read_${match[2]}`);
+  });
+
+  return parseScopes(list);
+}
+
+/**
+ * Compare the requested scopes with the granted ones.
+ *
+ * @param {Array|String} requested The requested scopes
+ * @param {Array|String} granted The granted scopes
+ * @return {Object} An object with the `missing` property, the list of
+ *     requested scopes that are not granted, and the `extra` property, the
+ *     list of granted scopes that are not requested
+ * @public
+ */
+function diffScopes(requested, granted) {
+  const expandedRequested = expandScopes(requested);
+  const expandedGranted = expandScopes(granted);
+
+  return {
+    missing: parseScopes(requested).filter(
+      (scope) => expandedGranted.indexOf(scope) === -1
+    ),
+    extra: parseScopes(granted).filter(
+      (scope) => expandedRequested.indexOf(scope) === -1
+    )
+  };
+}
+
+module.exports = { diffScopes, expandScopes, parseScopes };
@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Add the absolute expiration timestamps to the access token data.
+ *
+ * @param {Object} data The access token data
+ * @param {Number} time The time, in milliseconds, when the token was requested
+ * @return {Object} The access token data
+ * @public
+ */
+function addExpirationTimes(data, time) {
+  if (data === null || typeof data !== 'object') return data;
+
+  if (typeof data.expires_in === 'number') {
+    data.expiresAt = time + data.expires_in * 1000;
+  }
+
+  if (typeof data.refresh_token_expires_in === 'number') {
+    data.refreshTokenExpiresAt = time + data.refresh_token_expires_in * 1000;
+  }
+
+  return data;
+}
+
+/**
+ * Get the id under which a token is stored. Offline tokens are keyed by shop,
+ * online tokens by shop and user id.
+ *
+ * @param {String} shop The hostname of the shop, e.g. foo.myshopify.com
+ * @param {Number|String} [userId] The id of the user associated with the
+ *     token
+ * @return {String} The token id
+ * @public
+ */
+function getTokenId(shop, userId) {
+  return userId === undefined || userId === null ? shop : `${shop}_${userId}`;
+}
+
+/**
+ * Create the record of a token.
+ *
+ * @param {String} shop The hostname of the shop, e.g. foo.myshopify.com
+ * @param {Object} data The access token data
+ * @return {Object} The token record
+ * @public
+ */
+function createTokenRecord(shop, data) {
+  const user = data.associated_user;
+
+  return Object.assign({}, data, {
+    id: getTokenId(shop, user ? user.id : undefined),
+    shop
+  });
+}
+
+/**
+ * Check whether a token record belongs to an expired online token.
+ *
+ * @param {Object} record The token record
+ * @return {Boolean} `true` if the token is expired, else `false`
+ * @public
+ */
+function isExpired(record) {
+  return (
+    !!record.associated_user &&
+    typeof record.expiresAt === 'number' &&
+    record.expiresAt <= Date.now()
+  );
+}
+
+module.exports = {
+  addExpirationTimes,
+  createTokenRecord,
+  getTokenId,
+  isExpired
+};
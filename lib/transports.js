@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * A transport that makes the requests with the `https` module, or with the
+ * `http` module if the protocol is `http:`.
+ *
+ * @param {Object} options The request options
+ * @param {String} [options.protocol=https:] The protocol
+ * @param {String} options.hostname The hostname of the server
+ * @param {Number|String} [options.port] The port of the server
+ * @param {String} options.method The request method
+ * @param {String} options.path The request path
+ * @param {Object} options.headers The request headers
+ * @param {String} [options.body] The request body
+ * @param {https.Agent} [options.agent] The agent
+ * @return {Object} An object with the `response` property, a promise which is
+ *     fulfilled with the status code, the headers, and the body of the
+ *     response, and the `abort` method
+ * @public
+ */
+function https(options) {
+  //
+  // Required lazily so that this module can be loaded on runtimes where the
+  // `http` and `https` modules are not available.
+  //
+  const request = require(
+    options.protocol === 'http:' ? 'http' : 'https'
+  ).request({
+    headers: Object.assign(
+      options.body !== undefined
+        ? { 'Content-Length': Buffer.byteLength(options.body) }
+        : {},
+      options.headers
+    ),
+    path: options.path,
+    hostname: options.hostname,
+    port: options.port,
+    method: options.method,
+    agent: options.agent
+  });
+
+  const response = new Promise((resolve, reject) => {
+    request.on('response', (res) => {
+      let body = '';
+
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => body += chunk);
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, headers: res.headers, body });
+      });
+    });
+
+    request.on('error', reject);
+  });
+
+  request.end(options.body);
+
+  return { response, abort: () => request.abort() };
+}
+
+/**
+ * A transport that makes the requests with the global `fetch` function. The
+ * `agent` option is ignored.
+ *
+ * @param {Object} options The request options
+ * @param {String} [options.protocol=https:] The protocol
+ * @param {String} options.hostname The hostname of the server
+ * @param {Number|String} [options.port] The port of the server
+ * @param {String} options.method The request method
+ * @param {String} options.path The request path
+ * @param {Object} options.headers The request headers
+ * @param {String} [options.body] The request body
+ * @return {Object} An object with the `response` property, a promise which is
+ *     fulfilled with the status code, the headers, and the body of the
+ *     response, and the `abort` method
+ * @public
+ */
+function fetch(options) {
+  const controller = new AbortController();
+  const protocol = options.protocol === 'http:' ? 'http:' : 'https:';
+  const port = options.port ? `:${options.port}` : '';
+  const response = globalThis.fetch(
+    `${protocol}//${options.hostname}${port}${options.path}`,
+    {
+      method: options.method,
+      headers: options.headers,
+      body: options.body,
+      signal: controller.signal
+    }
+  ).then((res) => {
+    return res.text().then((body) => {
+      const headers = {};
+
+      res.headers.forEach((value, name) => {
+        headers[name] = value;
+      });
+
+      return { statusCode: res.status, headers, body };
+    });
+  });
+
+  return { response, abort: () => controller.abort() };
+}
+
+module.exports = { fetch, https };
@@ -2,10 +2,15 @@ describe('shopify-token', function () {
   'use strict';
 
   const expect = require('chai').expect;
+  const crypto = require('crypto');
   const stream = require('stream');
   const https = require('https');
+  const http = require('http');
   const nock = require('nock');
+  const path = require('path');
   const url = require('url');
+  const fs = require('fs');
+  const os = require('os');
 
   const ShopifyToken = require('.');
 
@@ -15,6 +20,17 @@ describe('shopify-token', function () {
     apiKey: 'baz'
   });
 
+  function signQuery(query) {
+    const message = Object.keys(query)
+      .map((key) => `${key}=${query[key]}`)
+      .sort()
+      .join('&');
+
+    return Object.assign({
+      hmac: crypto.createHmac('sha256', 'foo').update(message).digest('hex')
+    }, query);
+  }
+
   it('exports the class', function () {
     expect(ShopifyToken).to.be.a('function');
   });
@@ -59,6 +75,16 @@ describe('shopify-token', function () {
     expect(shopifyToken.accessMode).to.equal('per-user');
   });
 
+  it('validates shop domains by default', function () {
+    expect(shopifyToken.validateShop).to.equal(true);
+    expect(shopifyToken.customShopDomains).to.deep.equal([]);
+  });
+
+  it('does not retry requests by default', function () {
+    expect(shopifyToken.maxRetries).to.equal(0);
+    expect(shopifyToken.retryDelay).to.equal(1000);
+  });
+
   it('allows to customize the request timeout', function () {
     const shopifyToken = new ShopifyToken({
       sharedSecret: 'foo',
@@ -78,6 +104,196 @@ describe('shopify-token', function () {
     });
   });
 
+  describe('#createState', function () {
+    it('creates a signed state', function () {
+      const state = shopifyToken.createState();
+      const parts = state.split('.');
+
+      expect(parts).to.have.length(2);
+      expect(state).to.match(/^[\w-]+\.[\w-]+$/);
+
+      const payload = JSON.parse(Buffer.from(parts[0], 'base64').toString());
+
+      expect(payload.nonce).to.be.a('string').and.have.length(32);
+      expect(payload.exp).to.be.within(
+        Date.now() + 590000,
+        Date.now() + 600000
+      );
+    });
+
+    it('binds the state to the shop and includes the data', function () {
+      const state = shopifyToken.createState({
+        shop: 'https://QUX.myshopify.com/',
+        data: { returnTo: '/products' },
+        ttl: 1000
+      });
+      const payload = JSON.parse(
+        Buffer.from(state.split('.')[0], 'base64').toString()
+      );
+
+      expect(payload.shop).to.equal('qux.myshopify.com');
+      expect(payload.data).to.deep.equal({ returnTo: '/products' });
+      expect(payload.exp).to.be.within(Date.now(), Date.now() + 1000);
+    });
+
+    it('throws an error if the shop is not valid', function () {
+      expect(() => shopifyToken.createState({ shop: 'qux.example.com' }))
+        .to.throw(Error, 'Invalid shop domain');
+    });
+
+    it('can be used as nonce of the authorization URL', function () {
+      const state = shopifyToken.createState({ shop: 'qux' });
+      const uri = shopifyToken.generateAuthUrl('qux', undefined, state);
+
+      expect(url.parse(uri, true).query.state).to.equal(state);
+    });
+  });
+
+  describe('#verifyState', function () {
+    it('returns the decoded state if it is valid', function () {
+      const state = shopifyToken.createState({
+        shop: 'qux',
+        data: [1, 2, 3]
+      });
+      const payload = shopifyToken.verifyState(state, {
+        shop: 'qux.myshopify.com'
+      });
+
+      expect(payload.shop).to.equal('qux.myshopify.com');
+      expect(payload.data).to.deep.equal([1, 2, 3]);
+      expect(payload.nonce).to.be.a('string').and.have.length(32);
+      expect(payload.exp).to.be.a('number');
+    });
+
+    it('does not require the shop if the state is not bound', function () {
+      const state = shopifyToken.createState();
+
+      expect(() => shopifyToken.verifyState(state)).to.not.throw();
+      expect(() => shopifyToken.verifyState(state, { shop: 'qux' }))
+        .to.not.throw();
+    });
+
+    it('throws an error if the state is malformed', function () {
+      expect(() => shopifyToken.verifyState())
+        .to.throw(Error, 'Malformed state');
+      expect(() => shopifyToken.verifyState('qux'))
+        .to.throw(Error, 'Malformed state');
+    });
+
+    it('throws an error if the state has been tampered with', function () {
+      const state = shopifyToken.createState({ shop: 'qux' });
+      const parts = state.split('.');
+      const payload = JSON.parse(Buffer.from(parts[0], 'base64').toString());
+
+      payload.shop = 'quux.myshopify.com';
+
+      const tampered = `${
+        Buffer.from(JSON.stringify(payload)).toString('base64')
+      }.${parts[1]}`;
+
+      expect(() => shopifyToken.verifyState(tampered))
+        .to.throw(Error, 'Invalid state signature');
+      expect(() => shopifyToken.verifyState(`${parts[0]}.qux`))
+        .to.throw(Error, 'Invalid state signature');
+    });
+
+    it('throws an error if the state was signed with another secret', function () {
+      const state = new ShopifyToken({
+        sharedSecret: 'qux',
+        redirectUri: 'bar',
+        apiKey: 'baz'
+      }).createState();
+
+      expect(() => shopifyToken.verifyState(state))
+        .to.throw(Error, 'Invalid state signature');
+    });
+
+    it('throws an error if the state is expired', function () {
+      const state = shopifyToken.createState({ ttl: -1 });
+
+      expect(() => shopifyToken.verifyState(state))
+        .to.throw(Error, 'State expired');
+    });
+
+    it('throws an error if the shop does not match', function () {
+      const state = shopifyToken.createState({ shop: 'qux' });
+
+      expect(() => shopifyToken.verifyState(state))
+        .to.throw(Error, 'State shop mismatch');
+      expect(() => shopifyToken.verifyState(state, { shop: 'quux' }))
+        .to.throw(Error, 'State shop mismatch');
+    });
+  });
+
+  describe('#isValidShopDomain', function () {
+    it('returns true if the shop domain is valid', function () {
+      expect(shopifyToken.isValidShopDomain('qux.myshopify.com')).to.be.true;
+      expect(shopifyToken.isValidShopDomain('qux-1.myshopify.com')).to.be.true;
+    });
+
+    it('returns false if the shop domain is not valid', function () {
+      [
+        undefined,
+        'qux',
+        'https://qux.myshopify.com',
+        'qux.myshopify.com/',
+        'qux.myshopify.com.evil.com',
+        'evil.com#.myshopify.com',
+        '-qux.myshopify.com',
+        'qux.myshopify.io',
+        '192.0.2.1'
+      ].forEach((shop) => {
+        expect(shopifyToken.isValidShopDomain(shop)).to.be.false;
+      });
+    });
+
+    it('honors the `customShopDomains` option', function () {
+      const shopifyToken = new ShopifyToken({
+        customShopDomains: ['myshopify.io'],
+        sharedSecret: 'foo',
+        redirectUri: 'bar',
+        apiKey: 'baz'
+      });
+
+      expect(shopifyToken.isValidShopDomain('qux.myshopify.io')).to.be.true;
+      expect(shopifyToken.isValidShopDomain('qux.myshopify.com')).to.be.true;
+      expect(shopifyToken.isValidShopDomain('qux.myshopifyxio')).to.be.false;
+    });
+  });
+
+  describe('#normalizeShop', function () {
+    it('normalizes the shop name, hostname, or URL', function () {
+      [
+        'qux',
+        'QUX',
+        'qux.myshopify.com',
+        ' Qux.MyShopify.com ',
+        'qux.myshopify.com/',
+        'https://qux.myshopify.com',
+        'https://qux.myshopify.com/admin/apps?foo=bar',
+        'http://qux.myshopify.com/',
+        'admin.shopify.com/store/qux',
+        'https://admin.shopify.com/store/qux/apps/corge'
+      ].forEach((shop) => {
+        expect(shopifyToken.normalizeShop(shop)).to.equal('qux.myshopify.com');
+      });
+    });
+
+    it('returns null if the shop is not valid', function () {
+      [
+        undefined,
+        '',
+        'qux.example.com',
+        'ftp://qux.myshopify.com',
+        'https://admin.shopify.com/store/',
+        'qux.myshopify.com:8080',
+        'qux@evil.com'
+      ].forEach((shop) => {
+        expect(shopifyToken.normalizeShop(shop)).to.equal(null);
+      });
+    });
+  });
+
   describe('#generateAuthUrl', function () {
     it('builds the authorization URL', function () {
       const uri = shopifyToken.generateAuthUrl('qux');
@@ -154,6 +370,28 @@ describe('shopify-token', function () {
       }));
     });
 
+    it('throws an error if the shop is not valid', function () {
+      expect(() => shopifyToken.generateAuthUrl('qux.example.com'))
+        .to.throw(Error, 'Invalid shop domain');
+    });
+
+    it('does not validate the shop if `validateShop` is false', function () {
+      const shopifyToken = new ShopifyToken({
+        validateShop: false,
+        sharedSecret: 'foo',
+        redirectUri: 'bar',
+        apiKey: 'baz'
+      });
+
+      const uri = shopifyToken.generateAuthUrl('qux.example.com', 'x', 'y');
+
+      expect(url.parse(uri).hostname).to.equal('qux.example.com.myshopify.com');
+      expect(url.parse(shopifyToken.generateAuthUrl('qux')).hostname)
+        .to.equal('qux.myshopify.com');
+      expect(url.parse(shopifyToken.generateAuthUrl('qux.myshopify.com'))
+        .hostname).to.equal('qux.myshopify.com');
+    });
+
     it('allows to use a custom nonce', function () {
       const uri = shopifyToken.generateAuthUrl('qux', undefined, 'corge');
 
@@ -195,6 +433,224 @@ describe('shopify-token', function () {
     });
   });
 
+  describe('#needsReauthorization', function () {
+    it('returns null if all the requested scopes are granted', function () {
+      const shopifyToken = new ShopifyToken({
+        scopes: ['read_products', 'write_orders'],
+        sharedSecret: 'foo',
+        redirectUri: 'bar',
+        apiKey: 'baz'
+      });
+
+      expect(shopifyToken.needsReauthorization(
+        'qux',
+        'write_products,write_orders'
+      )).to.equal(null);
+    });
+
+    it('returns the authorization URL if scopes are missing', function () {
+      const shopifyToken = new ShopifyToken({
+        scopes: 'write_orders,read_products',
+        sharedSecret: 'foo',
+        redirectUri: 'bar',
+        apiKey: 'baz'
+      });
+
+      expect(shopifyToken.needsReauthorization(
+        'qux',
+        'read_orders,read_products',
+        { nonce: 'corge', accessMode: 'per-user' }
+      )).to.equal(
+        'https://qux.myshopify.com/admin/oauth/authorize?' +
+          'scope=read_products%2Cwrite_orders' +
+          '&state=corge' +
+          '&redirect_uri=bar' +
+          '&client_id=baz' +
+          '&grant_options%5B%5D=per-user'
+      );
+    });
+
+    it('allows to override the requested scopes', function () {
+      expect(shopifyToken.needsReauthorization(
+        'qux.myshopify.com',
+        'read_content',
+        { scopes: ['read_content', 'read_themes'], nonce: 'corge' }
+      )).to.equal(
+        'https://qux.myshopify.com/admin/oauth/authorize?' +
+          'scope=read_content%2Cread_themes' +
+          '&state=corge' +
+          '&redirect_uri=bar' +
+          '&client_id=baz'
+      );
+    });
+  });
+
+  describe('scopes', function () {
+    it('parses and normalizes a list of scopes', function () {
+      expect(ShopifyToken.parseScopes(' write_orders, read_products,,'))
+        .to.deep.equal(['read_products', 'write_orders']);
+      expect(ShopifyToken.parseScopes([
+        'read_products',
+        'read_orders,read_products'
+      ])).to.deep.equal(['read_orders', 'read_products']);
+      expect(ShopifyToken.parseScopes()).to.deep.equal([]);
+    });
+
+    it('adds the implied scopes', function () {
+      expect(ShopifyToken.expandScopes(
+        'write_orders,unauthenticated_write_checkouts,read_products'
+      )).to.deep.equal([
+        'read_orders',
+        'read_products',
+        'unauthenticated_read_checkouts',
+        'unauthenticated_write_checkouts',
+        'write_orders'
+      ]);
+    });
+
+    it('diffs the requested and granted scopes', function () {
+      expect(ShopifyToken.diffScopes(
+        'read_orders,write_products,read_themes',
+        ['write_orders', 'read_products', 'read_content']
+      )).to.deep.equal({
+        missing: ['read_themes', 'write_products'],
+        extra: ['read_content', 'write_orders']
+      });
+
+      expect(ShopifyToken.diffScopes('read_orders', 'write_orders'))
+        .to.deep.equal({ missing: [], extra: ['write_orders'] });
+    });
+  });
+
+  describe('#decodeHost', function () {
+    it('decodes the host parameter', function () {
+      [
+        ['YWRtaW4uc2hvcGlmeS5jb20vc3RvcmUvcXV4', 'admin.shopify.com/store/qux'],
+        ['cXV4Lm15c2hvcGlmeS5jb20vYWRtaW4=', 'qux.myshopify.com/admin']
+      ].forEach((pair) => {
+        expect(shopifyToken.decodeHost(pair[0])).to.equal(pair[1]);
+      });
+    });
+
+    it('returns null if the host is not valid', function () {
+      [
+        undefined,
+        '',
+        'not base64!',
+        Buffer.from('evil.com/store/qux').toString('base64'),
+        Buffer.from('admin.shopify.com').toString('base64'),
+        Buffer.from('qux.myshopify.com/<script>').toString('base64')
+      ].forEach((host) => {
+        expect(shopifyToken.decodeHost(host)).to.equal(null);
+      });
+    });
+  });
+
+  describe('#getEmbeddedContext', function () {
+    it('returns the embedded context of a request', function () {
+      expect(shopifyToken.getEmbeddedContext({
+        embedded: '1',
+        host: 'YWRtaW4uc2hvcGlmeS5jb20vc3RvcmUvcXV4',
+        shop: 'qux.myshopify.com'
+      })).to.deep.equal({
+        embedded: true,
+        host: 'admin.shopify.com/store/qux'
+      });
+
+      expect(shopifyToken.getEmbeddedContext({})).to.deep.equal({
+        embedded: false,
+        host: null
+      });
+    });
+  });
+
+  describe('#createRedirectResponse', function () {
+    it('returns a redirect if the app is not embedded', function () {
+      const uri = shopifyToken.generateAuthUrl('qux');
+
+      expect(shopifyToken.createRedirectResponse(uri)).to.deep.equal({
+        statusCode: 302,
+        headers: { Location: uri },
+        body: ''
+      });
+
+      expect(shopifyToken.createRedirectResponse('/auth?shop=qux', {
+        embedded: '0'
+      })).to.deep.equal({
+        statusCode: 302,
+        headers: { Location: '/auth?shop=qux' },
+        body: ''
+      });
+    });
+
+    it('returns a page that escapes the iframe if embedded', function () {
+      const uri = shopifyToken.generateAuthUrl('qux');
+      const response = shopifyToken.createRedirectResponse(uri, {
+        embedded: '1',
+        shop: 'qux.myshopify.com'
+      });
+
+      expect(response.statusCode).to.equal(200);
+      expect(response.headers).to.deep.equal({
+        'Content-Type': 'text/html; charset=utf-8',
+        'Content-Security-Policy':
+          'frame-ancestors https://qux.myshopify.com https://admin.shopify.com'
+      });
+      expect(response.body).to.include(
+        '<meta name="shopify-api-key" content="baz">'
+      );
+      expect(response.body).to.include(
+        '<script src="https://cdn.shopify.com/shopifycloud/app-bridge.js">'
+      );
+      expect(response.body).to.include(
+        '<script>window.open(' +
+          JSON.stringify(uri).replace(/&/g, '\\u0026') +
+          ", '_top');</script>"
+      );
+    });
+
+    it('escapes the URL and the API key', function () {
+      const shopifyToken = new ShopifyToken({
+        sharedSecret: 'foo',
+        redirectUri: 'bar',
+        apiKey: 'baz"><script>'
+      });
+
+      const response = shopifyToken.createRedirectResponse(
+        "/auth?q=</script><script>alert('x')</script>&r=1",
+        { embedded: '1', shop: 'https://evil.com' }
+      );
+
+      expect(response.headers).to.deep.equal({
+        'Content-Type': 'text/html; charset=utf-8'
+      });
+      expect(response.body).to.include(
+        '<meta name="shopify-api-key" content="baz&#34;&#62;&#60;script&#62;">'
+      );
+      expect(response.body).to.include(
+        '<script>window.open("/auth?q=\\u003c/script\\u003e\\u003cscript' +
+          "\\u003ealert('x')\\u003c/script\\u003e\\u0026r=1\", '_top');"
+      );
+      expect(response.body.match(/<script/g)).to.have.lengthOf(2);
+    });
+
+    it('throws an error if the URL is not valid', function () {
+      [
+        undefined,
+        '',
+        'javascript:alert(1)',
+        '//evil.com',
+        '/\\evil.com',
+        'https://',
+        'https://qux.myshopify.com/\r\nSet-Cookie: foo=bar'
+      ].forEach((redirectUrl) => {
+        expect(() => {
+          shopifyToken.createRedirectResponse(redirectUrl, { embedded: '1' });
+        }).to.throw(TypeError, 'Invalid redirect URL');
+      });
+    });
+  });
+
   describe('#verifyHmac', function () {
     it('returns true if the message is authentic', function () {
       expect(shopifyToken.verifyHmac({
@@ -229,90 +685,456 @@ describe('shopify-token', function () {
     });
   });
 
-  describe('#getAccessToken', function () {
-    const pathname = '/admin/oauth/access_token';
-    const hostname = 'qux.myshopify.com';
-    const scope = nock(`https://${hostname}`, { allowUnmocked: true });
+  describe('#verifyHmacAsync', function () {
+    it('resolves with true if the message is authentic', function () {
+      return shopifyToken.verifyHmacAsync({
+        hmac: '3d9b9a7918ac20dfd03b6a0af54a58f0a47980145ae81a37f41597a1e34b528d',
+        state: 'b77827e928ee8eee614b5808d3276c8a',
+        code: '4d732838ad8c22cd1d2dd96f8a403fb7',
+        shop: 'qux.myshopify.com',
+        timestamp: '1451929074'
+      }).then((valid) => expect(valid).to.equal(true));
+    });
 
-    afterEach(function () {
-      expect(scope.isDone()).to.be.true;
+    it('resolves with false if the message is not authentic', function () {
+      return shopifyToken.verifyHmacAsync({
+        hmac: '3d9b9a7918ac20dfd03b6a0af54a58f0a47980145ae81a37f41597a1e34b528d',
+        state: 'b77827e928ee8eee614b5808d3276c8a',
+        code: '4d732838ad8c22cd1d2dd96f8a403fb7',
+        shop: 'qux.myshopify.com',
+        timestamp: '1451933938'
+      }).then((valid) => expect(valid).to.equal(false));
     });
 
-    it('exchanges the auth code for the access token', function () {
-      const code = '4d732838ad8c22cd1d2dd96f8a403fb7';
-      const reply =  {
-        access_token: 'f85632530bf277ec9ac6f649fc327f17',
-        scope: 'read_content'
-      };
+    it('resolves with false if the hmac is missing', function () {
+      return shopifyToken.verifyHmacAsync({})
+        .then((valid) => expect(valid).to.equal(false));
+    });
+  });
 
-      scope
-        .post(pathname, { client_secret: 'foo', client_id: 'baz', code })
-        .reply(200, reply);
+  describe('#verifyProxySignature', function () {
+    const signature =
+      'dc4e4e7ae71b39bb7503d80b0002f1b437807ace5404892dc1e7e47ed2438079';
 
-      return shopifyToken.getAccessToken(hostname, code)
-        .then((data) => expect(data).to.deep.equal(reply));
+    it('returns true if the message is authentic', function () {
+      expect(shopifyToken.verifyProxySignature({
+        shop: 'qux.myshopify.com',
+        path_prefix: '/apps/awesome_reviews',
+        timestamp: '1317327555',
+        extra: ['1', '2'],
+        signature
+      })).to.equal(true);
     });
 
-    it('honors the `agent` option', function () {
-      const code = '4d732838ad8c22cd1d2dd96f8a403fb7';
-      const requestBody = {
-        client_secret: 'foo',
-        client_id: 'baz',
-        code
-      };
-      const stringifiedRequestBody = JSON.stringify(requestBody);
+    it('returns false if the message is not authentic', function () {
+      expect(shopifyToken.verifyProxySignature({
+        shop: 'qux.myshopify.com',
+        path_prefix: '/apps/awesome_reviews',
+        timestamp: '1317327555',
+        extra: ['2', '1'],
+        signature
+      })).to.equal(false);
+    });
 
-      const responseBody =  {
-        access_token: 'f85632530bf277ec9ac6f649fc327f17',
-        scope: 'read_content'
-      };
-      const stringifiedResponseBody = JSON.stringify(responseBody);
+    it('returns false if the query object is empty', function () {
+      expect(shopifyToken.verifyProxySignature({})).to.equal(false);
+    });
+  });
 
-      const agent = new https.Agent();
+  describe('#verifySessionToken', function () {
+    function encode(obj) {
+      return Buffer.from(JSON.stringify(obj)).toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+    }
 
-      agent.createConnection = function () {
-        const duplex = new stream.Duplex({
-          read() {},
-          write(chunk, encoding, callback) {
-            if (chunk.length === 0) {
-              callback();
-              return;
-            }
+    function sign(payload, header, secret) {
+      const data = `${encode(header || { alg: 'HS256', typ: 'JWT' })}.${
+        encode(payload)
+      }`;
+      const signature = crypto.createHmac('sha256', secret || 'foo')
+        .update(data)
+        .digest('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
 
-            expect(chunk.toString()).to.equal([
-              `POST ${pathname} HTTP/1.1`,
-              `Content-Length: ${Buffer.byteLength(stringifiedRequestBody)}`,
-              'Content-Type: application/json',
-              'Accept: application/json',
-              `Host: ${hostname}`,
-              'Connection: close',
-              '',
-              stringifiedRequestBody
-            ].join('\r\n'));
+      return `${data}.${signature}`;
+    }
 
-            duplex.push([
-              'HTTP/1.1 200 OK',
-              'Content-Type: application/json',
-              `Content-Length: ${Buffer.byteLength(stringifiedResponseBody)}`,
-              'Connection: close',
-              `Date: ${new Date().toUTCString()}`,
-              '',
-              stringifiedResponseBody
-            ].join('\r\n'));
+    function createPayload(claims) {
+      const now = Math.floor(Date.now() / 1000);
 
-            callback();
-          }
-        });
+      return Object.assign({
+        iss: 'https://qux.myshopify.com/admin',
+        dest: 'https://qux.myshopify.com',
+        aud: 'baz',
+        sub: '42',
+        exp: now + 60,
+        nbf: now,
+        iat: now,
+        jti: 'f8912129-1af6-4cad-9ca3-76b0f7621087',
+        sid: 'aaea182f2732d44c23057c0fea584021a4485b2bd25d3eb7fd349313ad24c685'
+      }, claims);
+    }
 
-        return duplex;
-      }
+    it('returns the decoded payload if the token is valid', function () {
+      const payload = createPayload();
 
-      const shopifyToken = new ShopifyToken({
-        sharedSecret: 'foo',
-        redirectUri: 'bar',
-        apiKey: 'baz',
-        agent
-      });
+      expect(shopifyToken.verifySessionToken(sign(payload)))
+        .to.deep.equal(payload);
+    });
+
+    it('throws an error if the token is malformed', function () {
+      expect(() => shopifyToken.verifySessionToken())
+        .to.throw(Error, 'Malformed session token');
+      expect(() => shopifyToken.verifySessionToken('a.b'))
+        .to.throw(Error, 'Malformed session token');
+      expect(() => shopifyToken.verifySessionToken('a.b.c'))
+        .to.throw(Error, 'Malformed session token');
+      expect(() => shopifyToken.verifySessionToken(sign(null)))
+        .to.throw(Error, 'Malformed session token');
+    });
+
+    it('throws an error if the algorithm is not HS256', function () {
+      const token = sign(createPayload(), { alg: 'none' });
+
+      expect(() => shopifyToken.verifySessionToken(token))
+        .to.throw(Error, 'Unsupported session token algorithm');
+    });
+
+    it('throws an error if the signature is not valid', function () {
+      const token = sign(createPayload(), undefined, 'qux');
+
+      expect(() => shopifyToken.verifySessionToken(token))
+        .to.throw(Error, 'Invalid session token signature');
+      expect(() => shopifyToken.verifySessionToken(token.slice(0, -2)))
+        .to.throw(Error, 'Invalid session token signature');
+    });
+
+    it('throws an error if the token is expired', function () {
+      const now = Math.floor(Date.now() / 1000);
+
+      expect(() => {
+        shopifyToken.verifySessionToken(sign(createPayload({ exp: now - 10 })));
+      }).to.throw(Error, 'Session token expired');
+
+      expect(() => {
+        shopifyToken.verifySessionToken(sign(createPayload({ exp: null })));
+      }).to.throw(Error, 'Session token expired');
+    });
+
+    it('throws an error if the token is not yet valid', function () {
+      const now = Math.floor(Date.now() / 1000);
+
+      expect(() => {
+        shopifyToken.verifySessionToken(sign(createPayload({ nbf: now + 10 })));
+      }).to.throw(Error, 'Session token not yet valid');
+    });
+
+    it('allows to customize the clock tolerance', function () {
+      const now = Math.floor(Date.now() / 1000);
+      const token = sign(createPayload({ exp: now - 10, nbf: now + 10 }));
+
+      expect(() => {
+        shopifyToken.verifySessionToken(token, { clockTolerance: 30 });
+      }).to.not.throw();
+
+      expect(() => {
+        shopifyToken.verifySessionToken(token, { clockTolerance: 0 });
+      }).to.throw(Error, 'Session token expired');
+    });
+
+    it('throws an error if the audience is not the API key', function () {
+      const token = sign(createPayload({ aud: 'qux' }));
+
+      expect(() => shopifyToken.verifySessionToken(token))
+        .to.throw(Error, 'Invalid session token audience');
+    });
+
+    it('throws an error if the issuer or destination are invalid', function () {
+      [
+        { iss: 'https://quux.myshopify.com/admin' },
+        { dest: 'https://example.com', iss: 'https://example.com/admin' },
+        { dest: undefined }
+      ].forEach((claims) => {
+        const token = sign(createPayload(claims));
+
+        expect(() => shopifyToken.verifySessionToken(token))
+          .to.throw(Error, 'Invalid session token issuer or destination');
+      });
+    });
+  });
+
+  describe('#verifyWebhook', function () {
+    const hmac = 'AIjtaDRhmh92SwzP4pZqTh+jI8U+D4dQ9I5FkEUPfXU=';
+
+    it('returns true if the body is authentic', function () {
+      expect(shopifyToken.verifyWebhook('{"id":1}', hmac)).to.equal(true);
+      expect(shopifyToken.verifyWebhook(Buffer.from('{"id":1}'), hmac))
+        .to.equal(true);
+    });
+
+    it('returns false if the body is not authentic', function () {
+      expect(shopifyToken.verifyWebhook('{"id":2}', hmac)).to.equal(false);
+    });
+
+    it('returns false if the hmac is missing or malformed', function () {
+      expect(shopifyToken.verifyWebhook('{"id":1}')).to.equal(false);
+      expect(shopifyToken.verifyWebhook('{"id":1}', 'qux')).to.equal(false);
+    });
+
+    it('throws an error if the body was already parsed', function () {
+      const message = 'The raw body must be a string or a buffer. Do not ' +
+        'parse it before verifying the webhook';
+
+      [hmac, 'qux', undefined].forEach((hmacHeader) => {
+        expect(() => shopifyToken.verifyWebhook({ id: 1 }, hmacHeader))
+          .to.throw(TypeError, message);
+      });
+    });
+  });
+
+  describe('#verifyWebhookRequest', function () {
+    const hmac = 'AIjtaDRhmh92SwzP4pZqTh+jI8U+D4dQ9I5FkEUPfXU=';
+
+    function createRequest(body, headers) {
+      const req = new stream.PassThrough();
+
+      req.headers = headers;
+      req.end(body);
+      return req;
+    }
+
+    it('resolves with the payload and the webhook metadata', function () {
+      const req = createRequest('{"id":1}', {
+        'x-shopify-hmac-sha256': hmac,
+        'x-shopify-topic': 'orders/create',
+        'x-shopify-shop-domain': 'qux.myshopify.com',
+        'x-shopify-webhook-id': 'b54557e4-bdd9-4b37-8a5f-bf7d70bcd043',
+        'x-shopify-api-version': '2024-01'
+      });
+
+      return shopifyToken.verifyWebhookRequest(req).then((data) => {
+        expect(data).to.deep.equal({
+          topic: 'orders/create',
+          shop: 'qux.myshopify.com',
+          webhookId: 'b54557e4-bdd9-4b37-8a5f-bf7d70bcd043',
+          apiVersion: '2024-01',
+          payload: { id: 1 }
+        });
+      });
+    });
+
+    it('rejects if the hmac is not valid', function () {
+      const req = createRequest('{"id":2}', { 'x-shopify-hmac-sha256': hmac });
+
+      return shopifyToken.verifyWebhookRequest(req).then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(Error);
+        expect(err.message).to.equal('Invalid webhook hmac');
+      });
+    });
+
+    it('rejects if the body is not valid JSON', function () {
+      const req = createRequest('qux', {
+        'x-shopify-hmac-sha256': '2QAZILnCTpXJb2dMtbGCTnDyayXeimwyuOFyMqgyjrI='
+      });
+
+      return shopifyToken.verifyWebhookRequest(req).then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(Error);
+        expect(err).to.be.an.instanceof(ShopifyToken.ShopifyTokenParseError);
+        expect(err.message).to.equal('Failed to parse the webhook body');
+      });
+    });
+
+    it('rejects if the body was already read', function () {
+      const req = createRequest('{"id":1}', { 'x-shopify-hmac-sha256': hmac });
+
+      req.resume();
+
+      return new Promise((resolve) => req.on('end', resolve))
+        .then(() => shopifyToken.verifyWebhookRequest(req))
+        .then(() => {
+          throw new Error('Test invalidation');
+        }, (err) => {
+          expect(err).to.be.an.instanceof(Error);
+          expect(err.message).to.equal(
+            'The request body was already read. Use `verifyWebhook()` with ' +
+              'the raw body instead'
+          );
+        });
+    });
+
+    it('emits the `hmacFailure` event with the shop', function () {
+      const shopifyToken = new ShopifyToken({
+        sharedSecret: 'foo',
+        redirectUri: 'bar',
+        apiKey: 'baz'
+      });
+      const events = [];
+      const req = createRequest('{"id":2}', {
+        'x-shopify-hmac-sha256': hmac,
+        'x-shopify-shop-domain': 'qux.myshopify.com'
+      });
+
+      shopifyToken.on('hmacFailure', (data) => events.push(data));
+
+      return shopifyToken.verifyWebhookRequest(req).then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err.message).to.equal('Invalid webhook hmac');
+        expect(events).to.deep.equal([{
+          method: 'verifyWebhook',
+          reason: 'mismatch',
+          shop: 'qux.myshopify.com'
+        }]);
+      });
+    });
+
+    it('rejects if the request emits an error', function () {
+      const req = new stream.PassThrough();
+
+      req.headers = {};
+      process.nextTick(() => req.emit('error', new Error('Oops')));
+
+      return shopifyToken.verifyWebhookRequest(req).then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err.message).to.equal('Oops');
+      });
+    });
+  });
+
+  describe('#getAccessToken', function () {
+    const pathname = '/admin/oauth/access_token';
+    const hostname = 'qux.myshopify.com';
+    const scope = nock(`https://${hostname}`, { allowUnmocked: true });
+
+    afterEach(function () {
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it('exchanges the auth code for the access token', function () {
+      const code = '4d732838ad8c22cd1d2dd96f8a403fb7';
+      const reply =  {
+        access_token: 'f85632530bf277ec9ac6f649fc327f17',
+        scope: 'read_content'
+      };
+
+      scope
+        .post(pathname, { client_secret: 'foo', client_id: 'baz', code })
+        .reply(200, reply);
+
+      return shopifyToken.getAccessToken(hostname, code)
+        .then((data) => expect(data).to.deep.equal(reply));
+    });
+
+    it('allows to request an expiring offline access token', function () {
+      const code = '4d732838ad8c22cd1d2dd96f8a403fb7';
+      const reply = {
+        access_token: 'f85632530bf277ec9ac6f649fc327f17',
+        scope: 'read_content',
+        expires_in: 3600,
+        refresh_token: 'corge',
+        refresh_token_expires_in: 7776000
+      };
+      const shopifyToken = new ShopifyToken({
+        sharedSecret: 'foo',
+        redirectUri: 'bar',
+        apiKey: 'baz',
+        expiring: true
+      });
+
+      scope
+        .post(pathname, {
+          client_secret: 'foo',
+          client_id: 'baz',
+          code,
+          expiring: 1
+        })
+        .reply(200, reply)
+        .post(pathname, { client_secret: 'foo', client_id: 'baz', code })
+        .reply(200, { access_token: 'qux', scope: 'read_content' });
+
+      return shopifyToken.getAccessToken(hostname, code).then((data) => {
+        expect(data).to.include(reply);
+        expect(data.expiresAt).to.be.a('number');
+        expect(data.refreshTokenExpiresAt).to.be.a('number');
+
+        return shopifyToken.getAccessToken(hostname, code, { expiring: false });
+      }).then((data) => {
+        expect(data).to.deep.equal({
+          access_token: 'qux',
+          scope: 'read_content'
+        });
+      });
+    });
+
+    it('honors the `agent` option', function () {
+      const code = '4d732838ad8c22cd1d2dd96f8a403fb7';
+      const requestBody = {
+        client_secret: 'foo',
+        client_id: 'baz',
+        code
+      };
+      const stringifiedRequestBody = JSON.stringify(requestBody);
+
+      const responseBody =  {
+        access_token: 'f85632530bf277ec9ac6f649fc327f17',
+        scope: 'read_content'
+      };
+      const stringifiedResponseBody = JSON.stringify(responseBody);
+
+      const agent = new https.Agent();
+
+      agent.createConnection = function () {
+        const duplex = new stream.Duplex({
+          read() {},
+          write(chunk, encoding, callback) {
+            if (chunk.length === 0) {
+              callback();
+              return;
+            }
+
+            expect(chunk.toString()).to.equal([
+              `POST ${pathname} HTTP/1.1`,
+              `Content-Length: ${Buffer.byteLength(stringifiedRequestBody)}`,
+              'Content-Type: application/json',
+              'Accept: application/json',
+              `Host: ${hostname}`,
+              'Connection: close',
+              '',
+              stringifiedRequestBody
+            ].join('\r\n'));
+
+            duplex.push([
+              'HTTP/1.1 200 OK',
+              'Content-Type: application/json',
+              `Content-Length: ${Buffer.byteLength(stringifiedResponseBody)}`,
+              'Connection: close',
+              `Date: ${new Date().toUTCString()}`,
+              '',
+              stringifiedResponseBody
+            ].join('\r\n'));
+
+            callback();
+          }
+        });
+
+        return duplex;
+      }
+
+      const shopifyToken = new ShopifyToken({
+        sharedSecret: 'foo',
+        redirectUri: 'bar',
+        apiKey: 'baz',
+        agent
+      });
 
       return shopifyToken.getAccessToken(hostname, code)
         .then((data) => expect(data).to.deep.equal(responseBody));
@@ -349,7 +1171,8 @@ describe('shopify-token', function () {
       return shopifyToken.getAccessToken(hostname, '123456').then(() => {
         throw new Error('Test invalidation');
       }, (err) => {
-        expect(err).to.be.an.instanceof(Error);
+        expect(err).to.be.an.instanceof(ShopifyToken.ShopifyTokenTimeoutError);
+        expect(err.code).to.equal('ERR_SHOPIFY_TOKEN_TIMEOUT');
         expect(err.message).to.equal('Request timed out');
       });
     });
@@ -380,6 +1203,7 @@ describe('shopify-token', function () {
         sharedSecret: 'foo',
         redirectUri: 'bar',
         apiKey: 'baz',
+        validateShop: false,
         timeout: 100
       });
 
@@ -397,6 +1221,18 @@ describe('shopify-token', function () {
       });
     });
 
+    it('returns an error if the shop is not valid', function () {
+      return shopifyToken.getAccessToken('evil.com', '123456').then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(
+          ShopifyToken.ShopifyTokenValidationError
+        );
+        expect(err.message).to.equal('Invalid shop domain');
+        expect(err.reason).to.equal('invalid_shop_domain');
+      });
+    });
+
     it('returns an error if response statusCode is not 200', function () {
       const body = 'some error message from shopify';
 
@@ -408,12 +1244,46 @@ describe('shopify-token', function () {
         throw new Error('Test invalidation');
       }, (err) => {
         expect(err).to.be.an.instanceof(Error);
+        expect(err).to.be.an.instanceof(ShopifyToken.ShopifyTokenHttpError);
         expect(err).to.have.property('message', 'Failed to get Shopify access token');
+        expect(err).to.have.property('code', 'ERR_SHOPIFY_TOKEN_HTTP');
         expect(err).to.have.property('responseBody', body);
         expect(err).to.have.property('statusCode', 400);
+        expect(err).to.have.property('error', null);
+        expect(err).to.have.property('errorDescription', body);
+      });
+    });
+
+    it('parses the error details from the response body', function () {
+      scope
+        .post(pathname)
+        .reply(400, {
+          error: 'invalid_request',
+          error_description: 'The authorization code was not found'
+        });
+
+      return shopifyToken.getAccessToken(hostname, '123456').then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(ShopifyToken.ShopifyTokenHttpError);
+        expect(err).to.have.property('statusCode', 400);
+        expect(err).to.have.property('error', 'invalid_request');
+        expect(err).to.have.property(
+          'errorDescription',
+          'The authorization code was not found'
+        );
       });
     });
 
+    it('resolves with the parsed body if it is not an object', function () {
+      scope
+        .post(pathname)
+        .reply(200, 'null');
+
+      return shopifyToken.getAccessToken(hostname, '123456')
+        .then((data) => expect(data).to.equal(null));
+    });
+
     it('returns an error if JSON.parse throws', function () {
       const body = '<!DOCTYPE html><html><head></head><body></body></html>';
 
@@ -425,10 +1295,3652 @@ describe('shopify-token', function () {
         throw new Error('Test invalidation');
       }, (err) => {
         expect(err).to.be.an.instanceof(Error);
+        expect(err).to.be.an.instanceof(ShopifyToken.ShopifyTokenParseError);
         expect(err).to.have.property('message', 'Failed to parse the response body');
+        expect(err).to.have.property('code', 'ERR_SHOPIFY_TOKEN_PARSE');
         expect(err).to.have.property('responseBody', body);
         expect(err).to.have.property('statusCode', 200);
       });
     });
   });
+
+  describe('#handleCallback', function () {
+    const pathname = '/admin/oauth/access_token';
+    const hostname = 'qux.myshopify.com';
+    const scope = nock(`https://${hostname}`, { allowUnmocked: true });
+
+    const options = { expectedState: 'corge' };
+
+    function createQuery(params) {
+      return signQuery(Object.assign({
+        code: '4d732838ad8c22cd1d2dd96f8a403fb7',
+        shop: hostname,
+        state: 'corge',
+        timestamp: String(Math.floor(Date.now() / 1000))
+      }, params));
+    }
+
+    function expectRejection(promise, message) {
+      return promise.then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(Error);
+        expect(err.message).to.equal(message);
+      });
+    }
+
+    afterEach(function () {
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it('validates the query and exchanges the auth code', function () {
+      scope
+        .post(pathname, {
+          client_secret: 'foo',
+          client_id: 'baz',
+          code: '4d732838ad8c22cd1d2dd96f8a403fb7'
+        })
+        .reply(200, {
+          access_token: 'f85632530bf277ec9ac6f649fc327f17',
+          scope: 'read_content'
+        });
+
+      return shopifyToken.handleCallback(createQuery(), options)
+        .then((data) => {
+          expect(data).to.deep.equal({
+            shop: hostname,
+            token: 'f85632530bf277ec9ac6f649fc327f17',
+            scope: 'read_content',
+            associatedUser: undefined,
+            associatedUserScope: undefined,
+            expiresAt: undefined,
+            refreshToken: undefined,
+            refreshTokenExpiresAt: undefined
+          });
+        });
+    });
+
+    it('resolves with the associated user of online tokens', function () {
+      const associatedUser = { id: 42, email: 'qux@example.com' };
+
+      scope
+        .post(pathname)
+        .reply(200, {
+          access_token: 'f85632530bf277ec9ac6f649fc327f17',
+          scope: 'read_content',
+          expires_in: 86399,
+          associated_user_scope: 'read_content',
+          associated_user: associatedUser
+        });
+
+      return shopifyToken.handleCallback(createQuery(), options)
+        .then((data) => {
+          expect(data.associatedUser).to.deep.equal(associatedUser);
+          expect(data.associatedUserScope).to.equal('read_content');
+          expect(data.expiresAt).to.be.a('number');
+        });
+    });
+
+    it('resolves with the refresh token of expiring tokens', function () {
+      scope
+        .post(pathname, {
+          client_secret: 'foo',
+          client_id: 'baz',
+          code: '4d732838ad8c22cd1d2dd96f8a403fb7',
+          expiring: 1
+        })
+        .reply(200, {
+          access_token: 'f85632530bf277ec9ac6f649fc327f17',
+          scope: 'read_content',
+          expires_in: 3600,
+          refresh_token: 'c1e5b3c2a1d8f2e9b4a7c6d5e8f1a2b3',
+          refresh_token_expires_in: 7776000
+        });
+
+      return shopifyToken.handleCallback(createQuery(), {
+        expectedState: 'corge',
+        expiring: true
+      }).then((data) => {
+        expect(data.refreshToken).to.equal('c1e5b3c2a1d8f2e9b4a7c6d5e8f1a2b3');
+        expect(data.refreshTokenExpiresAt - data.expiresAt).to.equal(
+          (7776000 - 3600) * 1000
+        );
+      });
+    });
+
+    it('rejects if the `expectedState` option is missing', function () {
+      return Promise.all([
+        shopifyToken.handleCallback(createQuery()),
+        shopifyToken.handleCallback(createQuery({
+          state: shopifyToken.createState({ shop: hostname })
+        }), {})
+      ].map((promise) => promise.then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(TypeError);
+        expect(err.message).to.equal(
+          'The `expectedState` option must be a string'
+        );
+      })));
+    });
+
+    it('rejects if the state does not match the expected state', function () {
+      return Promise.all([
+        expectRejection(
+          shopifyToken.handleCallback(createQuery(), {
+            expectedState: 'grault'
+          }),
+          'State mismatch'
+        ),
+        expectRejection(
+          shopifyToken.handleCallback(
+            createQuery({ state: undefined }),
+            options
+          ),
+          'State mismatch'
+        )
+      ]);
+    });
+
+    it('rejects if the hmac is not valid', function () {
+      const query = createQuery();
+
+      query.code = '123456';
+
+      return expectRejection(
+        shopifyToken.handleCallback(query, options),
+        'Invalid hmac'
+      );
+    });
+
+    it('rejects if the shop is not valid', function () {
+      const query = createQuery({ shop: 'evil.com' });
+
+      return expectRejection(
+        shopifyToken.handleCallback(query, options),
+        'Invalid shop domain'
+      );
+    });
+
+    it('rejects if the timestamp is too old or missing', function () {
+      const timestamp = String(Math.floor(Date.now() / 1000) - 60);
+
+      return Promise.all([
+        expectRejection(
+          shopifyToken.handleCallback(createQuery({ timestamp }), {
+            expectedState: 'corge',
+            maxAge: 30000
+          }),
+          'Expired timestamp'
+        ),
+        expectRejection(
+          shopifyToken.handleCallback(
+            createQuery({ timestamp: 'corge' }),
+            options
+          ),
+          'Expired timestamp'
+        )
+      ]);
+    });
+
+    it('rejects if the exchange fails', function () {
+      scope
+        .post(pathname)
+        .reply(400, '{"error":"invalid_request"}');
+
+      return expectRejection(
+        shopifyToken.handleCallback(createQuery(), options),
+        'Failed to get Shopify access token'
+      );
+    });
+  });
+
+  describe('#createMiddleware', function () {
+    const pathname = '/admin/oauth/access_token';
+    const hostname = 'qux.myshopify.com';
+    const scope = nock(`https://${hostname}`, { allowUnmocked: true });
+
+    function createResponse() {
+      return {
+        statusCode: 200,
+        headersSent: false,
+        headers: {},
+        setHeader(name, value) {
+          this.headers[name.toLowerCase()] = value;
+        },
+        end(body) {
+          this.headersSent = true;
+          this.body = body;
+        }
+      };
+    }
+
+    function createCallbackRequest(state, params) {
+      const query = signQuery(Object.assign({
+        code: '4d732838ad8c22cd1d2dd96f8a403fb7',
+        shop: hostname,
+        state,
+        timestamp: String(Math.floor(Date.now() / 1000))
+      }, params));
+
+      return {
+        url: url.format({ pathname: '/callback', query }),
+        headers: {
+          cookie: `foo=bar; shopify_token_state=${state}; shopify_token_state=`
+        }
+      };
+    }
+
+    afterEach(function () {
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it('throws an error if the `afterAuth` option is missing', function () {
+      expect(() => shopifyToken.createMiddleware())
+        .to.throw(TypeError, 'The `afterAuth` option must be a function');
+    });
+
+    describe('begin', function () {
+      it('sets the state cookie and redirects to the auth URL', function () {
+        const auth = shopifyToken.createMiddleware({
+          afterAuth() {},
+          scopes: ['read_products'],
+          accessMode: 'per-user'
+        });
+        const res = createResponse();
+
+        return auth.begin({ url: '/auth?shop=QUX', headers: {} }, res)
+          .then(() => {
+            const location = url.parse(res.headers.location, true);
+            const state = location.query.state;
+
+            expect(res.statusCode).to.equal(302);
+            expect(location.hostname).to.equal(hostname);
+            expect(location.query.scope).to.equal('read_products');
+            expect(location.query['grant_options[]']).to.equal('per-user');
+            expect(shopifyToken.verifyState(state, { shop: hostname }).shop)
+              .to.equal(hostname);
+            expect(res.headers['set-cookie']).to.equal(
+              `shopify_token_state=${state}; Max-Age=600; Path=/; HttpOnly; ` +
+                'SameSite=Lax; Secure'
+            );
+          });
+      });
+
+      it('honors the cookie options', function () {
+        const auth = shopifyToken.createMiddleware({
+          afterAuth() {},
+          cookieName: 'corge',
+          cookiePath: '/auth',
+          secure: false,
+          ttl: 60000
+        });
+        const res = createResponse();
+
+        return auth.begin({ url: '/auth?shop=qux', headers: {} }, res)
+          .then(() => {
+            expect(res.headers['set-cookie']).to.match(
+              /^corge=[\w.-]+; Max-Age=60; Path=\/auth; HttpOnly; SameSite=Lax$/
+            );
+          });
+      });
+
+      it('responds with 400 if the shop is not valid', function () {
+        const auth = shopifyToken.createMiddleware({ afterAuth() {} });
+        const res = createResponse();
+
+        return auth.begin({ url: '/auth?shop=evil.com', headers: {} }, res)
+          .then(() => {
+            expect(res.statusCode).to.equal(400);
+            expect(res.body).to.equal('Bad Request');
+          });
+      });
+
+      it('calls `next` with the error if available', function () {
+        const auth = shopifyToken.createMiddleware({ afterAuth() {} });
+        const res = createResponse();
+        let error;
+
+        return auth.begin({ url: '/auth', headers: {} }, res, (err) => {
+          error = err;
+        }).then(() => {
+          expect(error).to.be.an.instanceof(Error);
+          expect(error.message).to.equal('Invalid shop domain');
+          expect(res.headersSent).to.be.false;
+        });
+      });
+    });
+
+    describe('callback', function () {
+      it('validates the request and calls the `afterAuth` hook', function () {
+        const state = shopifyToken.createState({ shop: hostname });
+        const req = createCallbackRequest(state);
+        const res = createResponse();
+        const auth = shopifyToken.createMiddleware({
+          afterAuth(request, response, data) {
+            expect(request).to.equal(req);
+            expect(response).to.equal(res);
+            expect(data).to.deep.equal({
+              shop: hostname,
+              access_token: 'f85632530bf277ec9ac6f649fc327f17',
+              scope: 'read_content',
+              expires_in: 3600,
+              expiresAt: data.expiresAt,
+              refresh_token: 'c1e5b3c2a1d8f2e9b4a7c6d5e8f1a2b3',
+              refresh_token_expires_in: 7776000,
+              refreshTokenExpiresAt: data.refreshTokenExpiresAt
+            });
+            expect(data.expiresAt).to.be.a('number');
+            expect(data.refreshTokenExpiresAt).to.be.a('number');
+
+            response.statusCode = 302;
+            response.setHeader('Location', '/');
+            response.end();
+          }
+        });
+
+        scope
+          .post(pathname)
+          .reply(200, {
+            access_token: 'f85632530bf277ec9ac6f649fc327f17',
+            scope: 'read_content',
+            expires_in: 3600,
+            refresh_token: 'c1e5b3c2a1d8f2e9b4a7c6d5e8f1a2b3',
+            refresh_token_expires_in: 7776000
+          });
+
+        return auth.callback(req, res).then(() => {
+          expect(res.statusCode).to.equal(302);
+          expect(res.headers['set-cookie']).to.equal(
+            'shopify_token_state=; Max-Age=0; Path=/; HttpOnly; ' +
+              'SameSite=Lax; Secure'
+          );
+        });
+      });
+
+      it('responds with 403 if the state cookie does not match', function () {
+        const auth = shopifyToken.createMiddleware({ afterAuth() {} });
+        const state = shopifyToken.createState({ shop: hostname });
+        const req = createCallbackRequest(state);
+        const res = createResponse();
+
+        req.headers.cookie = 'shopify_token_state=%E0%A4%A; constructor=qux';
+
+        return auth.callback(req, res).then(() => {
+          expect(res.statusCode).to.equal(403);
+          delete req.headers.cookie;
+          return auth.callback(req, res);
+        }).then(() => {
+          expect(res.statusCode).to.equal(403);
+          req.headers.cookie = `corge; shopify_token_state=${state}x`;
+          return auth.callback(req, res);
+        }).then(() => {
+          expect(res.statusCode).to.equal(403);
+        });
+      });
+
+      it('responds with 400 if the state is not valid', function () {
+        const auth = shopifyToken.createMiddleware({ afterAuth() {} });
+        const state = shopifyToken.createState({ shop: 'quux' });
+        const req = createCallbackRequest(state);
+        const res = createResponse();
+        let error;
+
+        return auth.callback(req, res).then(() => {
+          expect(res.statusCode).to.equal(400);
+
+          return auth.callback(req, createResponse(), (err) => {
+            error = err;
+          });
+        }).then(() => {
+          expect(error.message).to.equal('State shop mismatch');
+        });
+      });
+
+      it('responds with 400 if the validation fails', function () {
+        const auth = shopifyToken.createMiddleware({ afterAuth() {} });
+        const state = shopifyToken.createState({ shop: hostname });
+        const req = createCallbackRequest(state);
+        const res = createResponse();
+
+        req.url = req.url.replace(/code=\w+/, 'code=123456');
+
+        return auth.callback(req, res).then(() => {
+          expect(res.statusCode).to.equal(400);
+        });
+      });
+
+      it('maps the errors of the exchange to status codes', function () {
+        const auth = shopifyToken.createMiddleware({ afterAuth() {} });
+        const state = shopifyToken.createState({ shop: hostname });
+        const req = createCallbackRequest(state);
+        const error = new Error('Oops');
+
+        error.syscall = 'connect';
+
+        //
+        // Each failure is used once without and once with `next`.
+        //
+        [false, true].forEach(() => {
+          scope
+            .post(pathname)
+            .reply(400, '{"error":"invalid_request"}')
+            .post(pathname)
+            .reply(503, 'Service Unavailable')
+            .post(pathname)
+            .reply(200, 'qux')
+            .post(pathname)
+            .replyWithError(error)
+            .post(pathname)
+            .delay(50)
+            .reply(200, {});
+        });
+
+        const shopifyTokenWithTimeout = new ShopifyToken({
+          sharedSecret: 'foo',
+          redirectUri: 'bar',
+          apiKey: 'baz',
+          timeout: 10
+        });
+        const statusCodes = [400, 502, 502, 502, 504];
+
+        return statusCodes.concat(statusCodes).reduce((promise, code, i) => {
+          return promise.then(() => {
+            const res = createResponse();
+            const middleware = i % 5 === 4
+              ? shopifyTokenWithTimeout.createMiddleware({ afterAuth() {} })
+              : auth;
+
+            if (i < 5) {
+              return middleware.callback(req, res).then(() => {
+                expect(res.statusCode).to.equal(code);
+              });
+            }
+
+            let err;
+
+            return middleware.callback(req, res, (e) => err = e).then(() => {
+              expect(err.status).to.equal(code);
+              expect(res.headersSent).to.be.false;
+            });
+          });
+        }, Promise.resolve());
+      });
+
+      it('does not override the status of the forwarded errors', function () {
+        const errors = [Object.assign(new Error('Oops'), { status: 401 }), 1];
+        const auth = shopifyToken.createMiddleware({
+          afterAuth() {
+            throw errors.shift();
+          }
+        });
+        const state = shopifyToken.createState({ shop: hostname });
+        const req = createCallbackRequest(state);
+        const forwarded = [];
+
+        scope
+          .post(pathname)
+          .times(2)
+          .reply(200, { access_token: 'qux', scope: 'read_content' });
+
+        return auth.callback(req, createResponse(), (err) => {
+          forwarded.push(err);
+        }).then(() => {
+          return auth.callback(req, createResponse(), (err) => {
+            forwarded.push(err);
+          });
+        }).then(() => {
+          expect(forwarded[0].status).to.equal(401);
+          expect(forwarded[1]).to.equal(1);
+        });
+      });
+
+      it('responds with 500 on unexpected errors', function () {
+        const shopifyToken = new ShopifyToken({
+          sharedSecret: 'foo',
+          redirectUri: 'bar',
+          apiKey: 'baz',
+          transport() {
+            return {
+              response: Promise.reject(new TypeError('Oops')),
+              abort() {}
+            };
+          }
+        });
+        const auth = shopifyToken.createMiddleware({ afterAuth() {} });
+        const state = shopifyToken.createState({ shop: hostname });
+        const res = createResponse();
+
+        return auth.callback(createCallbackRequest(state), res).then(() => {
+          expect(res.statusCode).to.equal(500);
+          expect(res.body).to.equal('Internal Server Error');
+        });
+      });
+
+      it('honors the `maxAge` option', function () {
+        const auth = shopifyToken.createMiddleware({
+          afterAuth() {},
+          maxAge: 1000
+        });
+        const state = shopifyToken.createState({ shop: hostname });
+        const req = createCallbackRequest(state, {
+          timestamp: String(Math.floor(Date.now() / 1000) - 60)
+        });
+        let error;
+
+        return auth.callback(req, createResponse(), (err) => {
+          error = err;
+        }).then(() => {
+          expect(error.message).to.equal('Expired timestamp');
+        });
+      });
+
+      it('responds with 500 if the `afterAuth` hook fails', function () {
+        const auth = shopifyToken.createMiddleware({
+          afterAuth(req, res) {
+            if (req.headers.partial) res.end('partial');
+            throw new Error('Oops');
+          }
+        });
+        const state = shopifyToken.createState({ shop: hostname });
+        const req = createCallbackRequest(state);
+        const res = createResponse();
+
+        scope
+          .post(pathname)
+          .times(2)
+          .reply(200, { access_token: 'qux', scope: 'read_content' });
+
+        return auth.callback(req, res).then(() => {
+          expect(res.statusCode).to.equal(500);
+          expect(res.body).to.equal('Internal Server Error');
+
+          const partial = createResponse();
+
+          req.headers.partial = true;
+
+          return auth.callback(req, partial).then(() => {
+            expect(partial.statusCode).to.equal(200);
+          });
+        });
+      });
+    });
+
+    describe('koa', function () {
+      it('adapts the handlers to the Koa middleware signature', function () {
+        const auth = shopifyToken.createMiddleware({ afterAuth() {} });
+        const ctx = {
+          req: { url: '/auth?shop=qux', headers: {} },
+          res: createResponse()
+        };
+
+        return auth.koa.begin(ctx).then(() => {
+          expect(ctx.respond).to.be.false;
+          expect(ctx.res.statusCode).to.equal(302);
+        });
+      });
+
+      it('throws the errors', function () {
+        const auth = shopifyToken.createMiddleware({ afterAuth() {} });
+        const ctx = {
+          req: { url: '/auth?shop=evil.com', headers: {} },
+          res: createResponse()
+        };
+
+        return auth.koa.begin(ctx).then(() => {
+          throw new Error('Test invalidation');
+        }, (err) => {
+          expect(err.message).to.equal('Invalid shop domain');
+          expect(err.status).to.equal(400);
+          expect(ctx.respond).to.be.true;
+          expect(ctx.res.headersSent).to.be.false;
+        });
+      });
+    });
+  });
+
+  describe('retries', function () {
+    const pathname = '/admin/oauth/access_token';
+    const hostname = 'qux.myshopify.com';
+    const scope = nock(`https://${hostname}`, { allowUnmocked: true });
+    const reply = {
+      access_token: 'f85632530bf277ec9ac6f649fc327f17',
+      scope: 'read_content'
+    };
+
+    function createShopifyToken(options) {
+      return new ShopifyToken(Object.assign({
+        sharedSecret: 'foo',
+        redirectUri: 'bar',
+        apiKey: 'baz',
+        maxRetries: 3,
+        retryDelay: 1
+      }, options));
+    }
+
+    afterEach(function () {
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it('retries on network errors, 429, and 5xx responses', function () {
+      scope
+        .post(pathname)
+        .replyWithError('socket hang up')
+        .post(pathname)
+        .reply(429, 'Too Many Requests')
+        .post(pathname)
+        .reply(503, 'Service Unavailable')
+        .post(pathname)
+        .reply(200, reply);
+
+      return createShopifyToken().getAccessToken(hostname, '123456')
+        .then((data) => expect(data).to.deep.equal(reply));
+    });
+
+    it('does not retry on 4xx responses', function () {
+      scope
+        .post(pathname)
+        .reply(400, '{"error":"invalid_request"}');
+
+      return createShopifyToken().getAccessToken(hostname, '123456').then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err).to.have.property('statusCode', 400);
+      });
+    });
+
+    it('gives up after `maxRetries` retries', function () {
+      scope
+        .post(pathname)
+        .times(3)
+        .reply(502, 'Bad Gateway');
+
+      return createShopifyToken({ maxRetries: 2 })
+        .getAccessToken(hostname, '123456')
+        .then(() => {
+          throw new Error('Test invalidation');
+        }, (err) => {
+          expect(err).to.have.property('statusCode', 502);
+          expect(err).to.have.property('responseBody', 'Bad Gateway');
+        });
+    });
+
+    it('rethrows the last network error when giving up', function () {
+      scope
+        .post(pathname)
+        .times(2)
+        .replyWithError('socket hang up');
+
+      return createShopifyToken({ maxRetries: 1 })
+        .getAccessToken(hostname, '123456')
+        .then(() => {
+          throw new Error('Test invalidation');
+        }, (err) => {
+          expect(err.message).to.equal('socket hang up');
+        });
+    });
+
+    it('honors the `Retry-After` header', function () {
+      const shopifyToken = createShopifyToken({
+        retryDelay: 10000,
+        timeout: 5000
+      });
+      const originalSetTimeout = global.setTimeout;
+      const delays = [];
+      const sleeps = [];
+
+      //
+      // Do not actually wait before retrying, but record the delays of the
+      // timers used for that.
+      //
+      global.setTimeout = function (fn, ms) {
+        if (ms === delays[delays.length - 1] && sleeps.length < delays.length) {
+          sleeps.push(ms);
+          ms = 0;
+        }
+
+        return originalSetTimeout.apply(this, [fn, ms].concat(
+          Array.prototype.slice.call(arguments, 2)
+        ));
+      };
+
+      shopifyToken.on('retry', (data) => delays.push(data.delay));
+
+      scope
+        .post(pathname)
+        .reply(429, 'Too Many Requests', { 'Retry-After': '1' })
+        .post(pathname)
+        .reply(503, 'Service Unavailable', {
+          'Retry-After': new Date(Date.now() - 1000).toUTCString()
+        })
+        .post(pathname)
+        .reply(200, reply);
+
+      return shopifyToken.getAccessToken(hostname, '123456').then((data) => {
+        global.setTimeout = originalSetTimeout;
+        expect(data).to.deep.equal(reply);
+        expect(delays).to.deep.equal([1000, 0]);
+        expect(sleeps).to.deep.equal(delays);
+      }, (err) => {
+        global.setTimeout = originalSetTimeout;
+        throw err;
+      });
+    });
+
+    it('ignores invalid `Retry-After` values', function () {
+      scope
+        .post(pathname)
+        .reply(503, 'Service Unavailable', { 'Retry-After': 'qux' })
+        .post(pathname)
+        .reply(200, reply);
+
+      return createShopifyToken().getAccessToken(hostname, '123456')
+        .then((data) => expect(data).to.deep.equal(reply));
+    });
+
+    it('does not retry if the delay exceeds the deadline', function () {
+      scope
+        .post(pathname)
+        .reply(503, 'Service Unavailable', { 'Retry-After': '120' });
+
+      return createShopifyToken().getAccessToken(hostname, '123456').then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err).to.have.property('statusCode', 503);
+      });
+    });
+
+    it('does not retry after the request times out', function () {
+      scope
+        .post(pathname)
+        .delay({ head: 200 })
+        .reply(200, reply);
+
+      return createShopifyToken({ timeout: 100 })
+        .getAccessToken(hostname, '123456')
+        .then(() => {
+          throw new Error('Test invalidation');
+        }, (err) => {
+          expect(err.message).to.equal('Request timed out');
+        });
+    });
+  });
+
+  describe('per-call options', function () {
+    const pathname = '/admin/oauth/access_token';
+    const hostname = 'qux.myshopify.com';
+    const scope = nock(`https://${hostname}`, { allowUnmocked: true });
+    const reply = {
+      access_token: 'f85632530bf277ec9ac6f649fc327f17',
+      scope: 'read_content'
+    };
+
+    afterEach(function () {
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it('overrides the `timeout` option', function () {
+      scope
+        .post(pathname)
+        .delay({ head: 200 })
+        .reply(200, reply);
+
+      return shopifyToken
+        .getAccessToken(hostname, '123456', { timeout: 100 })
+        .then(() => {
+          throw new Error('Test invalidation');
+        }, (err) => {
+          expect(err.message).to.equal('Request timed out');
+        });
+    });
+
+    it('overrides the `agent` option', function () {
+      const agent = new https.Agent();
+
+      agent.createConnection = function () {
+        const duplex = new stream.Duplex({
+          read() {},
+          write(chunk, encoding, callback) {
+            callback();
+          }
+        });
+
+        process.nextTick(() => duplex.destroy(new Error('Custom agent')));
+        return duplex;
+      };
+
+      return shopifyToken
+        .refreshAccessToken('quux.myshopify.com', 'corge', { agent })
+        .then(() => {
+          throw new Error('Test invalidation');
+        }, (err) => {
+          expect(err.message).to.equal('Custom agent');
+        });
+    });
+
+    (typeof AbortController === 'function' ? describe : describe.skip)(
+      'the `signal` option',
+      function () {
+        function expectAbortError(promise) {
+          return promise.then(() => {
+            throw new Error('Test invalidation');
+          }, (err) => {
+            expect(err).to.be.an.instanceof(Error);
+            expect(err.name).to.equal('AbortError');
+            expect(err.code).to.equal('ABORT_ERR');
+            expect(err.message).to.equal('The operation was aborted');
+          });
+        }
+
+        it('rejects if the signal is already aborted', function () {
+          const controller = new AbortController();
+
+          controller.abort();
+
+          return expectAbortError(
+            shopifyToken.getAccessToken(hostname, '123456', {
+              signal: controller.signal
+            })
+          );
+        });
+
+        it('aborts the request', function () {
+          const controller = new AbortController();
+
+          scope
+            .post(pathname)
+            .delay({ head: 200 })
+            .reply(200, reply);
+
+          setTimeout(() => controller.abort(), 50);
+
+          return expectAbortError(
+            shopifyToken.exchangeSessionToken(hostname, 'corge', {
+              signal: controller.signal
+            })
+          );
+        });
+
+        it('aborts the wait between retries', function () {
+          const controller = new AbortController();
+          const shopifyToken = new ShopifyToken({
+            sharedSecret: 'foo',
+            redirectUri: 'bar',
+            apiKey: 'baz',
+            maxRetries: 1
+          });
+
+          scope
+            .post(pathname)
+            .reply(503, 'Service Unavailable', { 'Retry-After': '1' });
+
+          setTimeout(() => controller.abort(), 50);
+
+          return expectAbortError(
+            shopifyToken.getAccessToken(hostname, '123456', {
+              signal: controller.signal
+            })
+          );
+        });
+
+        it('is not used after the request completes', function () {
+          const controller = new AbortController();
+          const shopifyToken = new ShopifyToken({
+            sharedSecret: 'foo',
+            redirectUri: 'bar',
+            apiKey: 'baz',
+            maxRetries: 1,
+            retryDelay: 1
+          });
+
+          scope
+            .post(pathname)
+            .reply(503, 'Service Unavailable')
+            .post(pathname)
+            .reply(200, reply);
+
+          return shopifyToken
+            .getAccessToken(hostname, '123456', { signal: controller.signal })
+            .then((data) => {
+              expect(data).to.deep.equal(reply);
+              controller.abort();
+            });
+        });
+      }
+    );
+  });
+
+  describe('transports', function () {
+    const hostname = 'qux.myshopify.com';
+    const reply = {
+      access_token: 'f85632530bf277ec9ac6f649fc327f17',
+      scope: 'read_content'
+    };
+
+    it('uses the `https` transport by default', function () {
+      expect(shopifyToken.transport).to.equal(ShopifyToken.transports.https);
+    });
+
+    it('allows to use a custom transport', function () {
+      const requests = [];
+      const shopifyToken = new ShopifyToken({
+        sharedSecret: 'foo',
+        redirectUri: 'bar',
+        apiKey: 'baz',
+        transport: (options) => {
+          requests.push(options);
+          return {
+            response: Promise.resolve({
+              statusCode: 200,
+              headers: {},
+              body: JSON.stringify(reply)
+            }),
+            abort() {}
+          };
+        }
+      });
+
+      return shopifyToken.getAccessToken(hostname, '123456').then((data) => {
+        expect(data).to.deep.equal(reply);
+        expect(requests).to.deep.equal([{
+          headers: {
+            'Content-Type': 'application/json',
+            Accept: 'application/json'
+          },
+          path: '/admin/oauth/access_token',
+          protocol: 'https:',
+          hostname,
+          port: undefined,
+          method: 'POST',
+          body: JSON.stringify({
+            client_secret: 'foo',
+            client_id: 'baz',
+            code: '123456'
+          }),
+          agent: undefined
+        }]);
+      });
+    });
+
+    it('aborts the request made with a custom transport', function () {
+      let aborted = false;
+      const shopifyToken = new ShopifyToken({
+        sharedSecret: 'foo',
+        redirectUri: 'bar',
+        apiKey: 'baz',
+        timeout: 50,
+        transport: () => {
+          let reject;
+
+          return {
+            response: new Promise((resolve, rej) => {
+              reject = rej;
+            }),
+            abort() {
+              aborted = true;
+              reject(new Error('Aborted'));
+            }
+          };
+        }
+      });
+
+      return shopifyToken.getAccessToken(hostname, '123456').then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(ShopifyToken.ShopifyTokenTimeoutError);
+        expect(aborted).to.be.true;
+      });
+    });
+
+    (typeof Response === 'function' ? describe : describe.skip)(
+      'fetch',
+      function () {
+        const fetch = global.fetch;
+        const shopifyToken = new ShopifyToken({
+          sharedSecret: 'foo',
+          redirectUri: 'bar',
+          apiKey: 'baz',
+          timeout: 50,
+          transport: ShopifyToken.transports.fetch
+        });
+
+        afterEach(function () {
+          global.fetch = fetch;
+        });
+
+        it('makes the requests with `fetch`', function () {
+          const requests = [];
+
+          global.fetch = (url, init) => {
+            requests.push([url, init]);
+            return Promise.resolve(new Response(JSON.stringify(reply), {
+              status: 200,
+              headers: { 'Content-Type': 'application/json' }
+            }));
+          };
+
+          return shopifyToken
+            .getAccessToken(hostname, '123456')
+            .then((data) => {
+              expect(data).to.deep.equal(reply);
+              expect(requests).to.have.length(1);
+              expect(requests[0][0]).to.equal(
+                `https://${hostname}/admin/oauth/access_token`
+              );
+              expect(requests[0][1]).to.deep.include({
+                method: 'POST',
+                headers: {
+                  'Content-Type': 'application/json',
+                  Accept: 'application/json'
+                },
+                body: JSON.stringify({
+                  client_secret: 'foo',
+                  client_id: 'baz',
+                  code: '123456'
+                })
+              });
+            });
+        });
+
+        it('exposes the response status code and headers', function () {
+          global.fetch = () => Promise.resolve(new Response('Bad Request', {
+            status: 400,
+            headers: { 'X-Request-Id': 'corge' }
+          }));
+
+          return shopifyToken.getAccessToken(hostname, '123456').then(() => {
+            throw new Error('Test invalidation');
+          }, (err) => {
+            expect(err).to.be.an.instanceof(
+              ShopifyToken.ShopifyTokenHttpError
+            );
+            expect(err.statusCode).to.equal(400);
+            expect(err.responseBody).to.equal('Bad Request');
+          });
+        });
+
+        it('aborts the request when the timeout expires', function () {
+          let signal;
+
+          global.fetch = (url, init) => {
+            signal = init.signal;
+            return new Promise((resolve, reject) => {
+              signal.addEventListener('abort', () => {
+                reject(new Error('Aborted'));
+              });
+            });
+          };
+
+          return shopifyToken.getAccessToken(hostname, '123456').then(() => {
+            throw new Error('Test invalidation');
+          }, (err) => {
+            expect(err).to.be.an.instanceof(
+              ShopifyToken.ShopifyTokenTimeoutError
+            );
+            expect(signal.aborted).to.be.true;
+          });
+        });
+      }
+    );
+  });
+
+  (global.crypto && global.crypto.subtle ? describe : describe.skip)(
+    'Web Crypto',
+    function () {
+      const query = {
+        hmac: '3d9b9a7918ac20dfd03b6a0af54a58f0a47980145ae81a37f41597a1e34b528d',
+        state: 'b77827e928ee8eee614b5808d3276c8a',
+        code: '4d732838ad8c22cd1d2dd96f8a403fb7',
+        shop: 'qux.myshopify.com',
+        timestamp: '1451929074'
+      };
+
+      let WebShopifyToken;
+
+      //
+      // Load the module as if the `crypto`, `fs`, `http`, and `https` modules
+      // were not available.
+      //
+      before(function () {
+        const Module = require('module');
+        const load = Module._load;
+        const ids = [
+          require.resolve('.'),
+          require.resolve('./lib/crypto'),
+          require.resolve('./lib/customer-account'),
+          require.resolve('./lib/file-store'),
+          require.resolve('./lib/middleware'),
+          require.resolve('./lib/mock-server')
+        ];
+        const cached = ids.map((id) => require.cache[id]);
+        const blocked = ['crypto', 'fs', 'http', 'https'];
+
+        ids.forEach((id) => delete require.cache[id]);
+
+        Module._load = function (request) {
+          if (blocked.indexOf(request) !== -1) {
+            throw new Error('Cannot find module');
+          }
+
+          return load.apply(this, arguments);
+        };
+
+        try {
+          WebShopifyToken = require('.');
+        } finally {
+          Module._load = load;
+          ids.forEach((id, i) => {
+            require.cache[id] = cached[i];
+          });
+        }
+      });
+
+      it('generates a random nonce', function () {
+        const shopifyToken = new WebShopifyToken({
+          sharedSecret: 'foo',
+          redirectUri: 'bar',
+          apiKey: 'baz'
+        });
+
+        expect(shopifyToken.generateNonce()).to.match(/^[0-9a-f]{32}$/);
+      });
+
+      it('verifies the hmac', function () {
+        const matches = [];
+        const shopifyToken = new WebShopifyToken({
+          sharedSecret: ['qux', 'foo'],
+          redirectUri: 'bar',
+          apiKey: 'baz',
+          onSecretMatch: (index, method) => matches.push([index, method])
+        });
+
+        return Promise.all([
+          shopifyToken.verifyHmacAsync(query),
+          shopifyToken.verifyHmacAsync(Object.assign({}, query, {
+            timestamp: '1451933938'
+          })),
+          shopifyToken.verifyHmacAsync({})
+        ]).then((results) => {
+          expect(results).to.deep.equal([true, false, false]);
+          expect(matches).to.deep.equal([[1, 'verifyHmacAsync']]);
+        });
+      });
+
+      it('throws an error if a synchronous method is used', function () {
+        const shopifyToken = new WebShopifyToken({
+          sharedSecret: 'foo',
+          redirectUri: 'bar',
+          apiKey: 'baz'
+        });
+
+        expect(() => shopifyToken.verifyHmac(query))
+          .to.throw(Error, 'The crypto module is not available');
+
+        const customerAccount = new WebShopifyToken.CustomerAccount({
+          shopId: 1234,
+          clientId: 'shp_foo',
+          redirectUri: 'bar'
+        });
+
+        expect(() => customerAccount.generateCodeChallenge('foo'))
+          .to.throw(Error, 'The crypto module is not available');
+      });
+    }
+  );
+
+  describe('#exchangeSessionToken', function () {
+    const pathname = '/admin/oauth/access_token';
+    const hostname = 'qux.myshopify.com';
+    const scope = nock(`https://${hostname}`, { allowUnmocked: true });
+
+    afterEach(function () {
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it('exchanges the session token for an offline access token', function () {
+      const reply = {
+        access_token: 'f85632530bf277ec9ac6f649fc327f17',
+        scope: 'read_content'
+      };
+
+      scope
+        .post(pathname, {
+          client_secret: 'foo',
+          client_id: 'baz',
+          grant_type: 'urn:ietf:params:oauth:grant-type:token-exchange',
+          subject_token: 'corge',
+          subject_token_type: 'urn:ietf:params:oauth:token-type:id_token',
+          requested_token_type:
+            'urn:shopify:params:oauth:token-type:offline-access-token'
+        })
+        .reply(200, reply);
+
+      return shopifyToken.exchangeSessionToken(hostname, 'corge')
+        .then((data) => expect(data).to.deep.equal(reply));
+    });
+
+    it('allows to request an online access token', function () {
+      const reply = {
+        access_token: 'f85632530bf277ec9ac6f649fc327f17',
+        scope: 'read_content',
+        expires_in: 86399,
+        associated_user_scope: 'read_content',
+        associated_user: { id: 42 }
+      };
+
+      scope
+        .post(pathname, (body) => {
+          return body.requested_token_type ===
+            'urn:shopify:params:oauth:token-type:online-access-token' &&
+            !('expiring' in body);
+        })
+        .reply(200, reply);
+
+      return shopifyToken
+        .exchangeSessionToken(hostname, 'corge', {
+          accessMode: 'per-user',
+          expiring: true
+        })
+        .then((data) => {
+          expect(data).to.deep.include(reply);
+          expect(data.expiresAt).to.be.a('number');
+        });
+    });
+
+    it('allows to request an expiring offline access token', function () {
+      scope
+        .post(pathname, (body) => body.expiring === 1)
+        .reply(200, { access_token: 'qux', scope: 'read_content' });
+
+      return shopifyToken
+        .exchangeSessionToken(hostname, 'corge', { expiring: true })
+        .then((data) => expect(data.access_token).to.equal('qux'));
+    });
+
+    it('returns an error if response statusCode is not 200', function () {
+      scope
+        .post(pathname)
+        .reply(400, '{"error":"invalid_subject_token"}');
+
+      return shopifyToken.exchangeSessionToken(hostname, 'corge').then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(Error);
+        expect(err).to.have.property('statusCode', 400);
+      });
+    });
+  });
+
+  describe('#refreshAccessToken', function () {
+    const pathname = '/admin/oauth/access_token';
+    const hostname = 'qux.myshopify.com';
+    const scope = nock(`https://${hostname}`, { allowUnmocked: true });
+
+    afterEach(function () {
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it('uses the refresh token to get a new access token', function () {
+      const reply = {
+        access_token: 'f85632530bf277ec9ac6f649fc327f17',
+        scope: 'read_content',
+        expires_in: 3600,
+        refresh_token: 'corge',
+        refresh_token_expires_in: 7776000
+      };
+
+      scope
+        .post(pathname, {
+          client_secret: 'foo',
+          client_id: 'baz',
+          grant_type: 'refresh_token',
+          refresh_token: 'grault'
+        })
+        .reply(200, reply);
+
+      const start = Date.now();
+
+      return shopifyToken.refreshAccessToken(hostname, 'grault')
+        .then((data) => {
+          const end = Date.now();
+
+          expect(data).to.include(reply);
+          expect(data.expiresAt).to.be.within(
+            start + 3600 * 1000,
+            end + 3600 * 1000
+          );
+          expect(data.refreshTokenExpiresAt).to.be.within(
+            start + 7776000 * 1000,
+            end + 7776000 * 1000
+          );
+        });
+    });
+  });
+
+  describe('#revokeAccessToken', function () {
+    const pathname = '/admin/api_permissions/current.json';
+    const hostname = 'qux.myshopify.com';
+    const scope = nock(`https://${hostname}`, { allowUnmocked: true });
+
+    afterEach(function () {
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it('revokes the access tokens of the shop', function () {
+      scope
+        .delete(pathname)
+        .matchHeader('X-Shopify-Access-Token', 'corge')
+        .reply(200, {});
+
+      return shopifyToken.revokeAccessToken(hostname, 'corge')
+        .then((data) => expect(data).to.equal(undefined));
+    });
+
+    it('deletes the tokens of the shop from the store', function () {
+      const store = new ShopifyToken.MemoryStore();
+      const shopifyToken = new ShopifyToken({
+        sharedSecret: 'foo',
+        redirectUri: 'bar',
+        apiKey: 'baz',
+        store
+      });
+
+      scope
+        .delete(pathname)
+        .reply(200, {});
+
+      return Promise.all([
+        store.set(hostname, { id: hostname, shop: hostname }),
+        store.set(`${hostname}_42`, { id: `${hostname}_42`, shop: hostname }),
+        store.set('quux.myshopify.com', {
+          id: 'quux.myshopify.com',
+          shop: 'quux.myshopify.com'
+        })
+      ]).then(() => shopifyToken.revokeAccessToken(hostname, 'corge'))
+        .then(() => {
+          expect(Array.from(store.records.keys()))
+            .to.deep.equal(['quux.myshopify.com']);
+        });
+    });
+
+    it('emits `storeError` if the tokens cannot be deleted', function () {
+      const error = new Error('Oops');
+      const events = [];
+      const store = {
+        findByShop() {
+          if (events.length === 0) throw error;
+          return [{ id: hostname }, { id: `${hostname}_42` }];
+        },
+        delete(id) {
+          if (id === hostname) return Promise.reject(error);
+        }
+      };
+      const shopifyToken = new ShopifyToken({
+        sharedSecret: 'foo',
+        redirectUri: 'bar',
+        apiKey: 'baz',
+        store
+      });
+
+      shopifyToken.on('storeError', (data) => events.push(data));
+
+      scope
+        .delete(pathname)
+        .times(2)
+        .reply(200, {});
+
+      return shopifyToken.revokeAccessToken(hostname, 'corge').then((data) => {
+        expect(data).to.equal(undefined);
+        expect(events).to.deep.equal([{ shop: hostname, error }]);
+
+        return shopifyToken.revokeAccessToken(hostname, 'corge');
+      }).then((data) => {
+        expect(data).to.equal(undefined);
+        expect(events).to.deep.equal([
+          { shop: hostname, error },
+          { shop: hostname, id: hostname, error }
+        ]);
+      });
+    });
+
+    it('returns an error if response statusCode is not 2xx', function () {
+      const body = '{"errors":"[API] Invalid API key or access token"}';
+
+      scope
+        .delete(pathname)
+        .reply(401, body);
+
+      return shopifyToken.revokeAccessToken(hostname, 'corge').then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(ShopifyToken.ShopifyTokenHttpError);
+        expect(err).to.have.property(
+          'message',
+          'Failed to revoke Shopify access token'
+        );
+        expect(err).to.have.property('statusCode', 401);
+        expect(err).to.have.property('responseBody', body);
+        expect(err).to.have.property(
+          'errorDescription',
+          '[API] Invalid API key or access token'
+        );
+      });
+    });
+
+    it('returns an error if the shop is not valid', function () {
+      return shopifyToken.revokeAccessToken('evil.com', 'corge').then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(
+          ShopifyToken.ShopifyTokenValidationError
+        );
+        expect(err.reason).to.equal('invalid_shop_domain');
+      });
+    });
+  });
+
+  describe('#checkAccessToken', function () {
+    const pathname = '/admin/oauth/access_scopes.json';
+    const hostname = 'qux.myshopify.com';
+    const scope = nock(`https://${hostname}`, { allowUnmocked: true });
+
+    afterEach(function () {
+      expect(scope.isDone()).to.be.true;
+    });
+
+    it('resolves with the scopes if the token is valid', function () {
+      scope
+        .get(pathname)
+        .matchHeader('X-Shopify-Access-Token', 'corge')
+        .reply(200, {
+          access_scopes: [
+            { handle: 'read_products' },
+            { handle: 'read_orders' }
+          ]
+        });
+
+      return shopifyToken.checkAccessToken(hostname, 'corge').then((data) => {
+        expect(data).to.deep.equal({
+          valid: true,
+          scopes: ['read_products', 'read_orders']
+        });
+      });
+    });
+
+    it('resolves with `valid: false` if the token is not valid', function () {
+      scope
+        .get(pathname)
+        .reply(401, { errors: '[API] Invalid API key or access token' })
+        .get(pathname)
+        .reply(403, '')
+        .get(pathname)
+        .reply(404, '');
+
+      return Promise.all([
+        shopifyToken.checkAccessToken(hostname, 'corge'),
+        shopifyToken.checkAccessToken(hostname, 'corge'),
+        shopifyToken.checkAccessToken(hostname, 'corge')
+      ]).then((results) => {
+        results.forEach((data) => {
+          expect(data).to.deep.equal({ valid: false, scopes: [] });
+        });
+      });
+    });
+
+    it('returns an error if response statusCode is unexpected', function () {
+      scope
+        .get(pathname)
+        .reply(500, 'Internal Server Error');
+
+      return shopifyToken.checkAccessToken(hostname, 'corge').then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(ShopifyToken.ShopifyTokenHttpError);
+        expect(err).to.have.property(
+          'message',
+          'Failed to check Shopify access token'
+        );
+        expect(err).to.have.property('statusCode', 500);
+      });
+    });
+
+    it('returns an error if the body cannot be parsed', function () {
+      scope
+        .get(pathname)
+        .reply(200, '{}');
+
+      return shopifyToken.checkAccessToken(hostname, 'corge').then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(ShopifyToken.ShopifyTokenParseError);
+        expect(err).to.have.property('responseBody', '{}');
+      });
+    });
+
+    it('returns an error if the shop is not valid', function () {
+      return shopifyToken.checkAccessToken('evil.com', 'corge').then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(
+          ShopifyToken.ShopifyTokenValidationError
+        );
+        expect(err.reason).to.equal('invalid_shop_domain');
+      });
+    });
+  });
+
+  describe('#checkAccessTokens', function () {
+    const pathname = '/admin/oauth/access_scopes.json';
+
+    it('checks the tokens with a limited concurrency', function () {
+      const shopifyToken = new ShopifyToken({
+        sharedSecret: 'foo',
+        redirectUri: 'bar',
+        apiKey: 'baz'
+      });
+      const shops = ['qux', 'quux', 'corge', 'grault', 'garply'];
+      let inFlight = 0;
+      let maxInFlight = 0;
+
+      shops.forEach((name, i) => {
+        nock(`https://${name}.myshopify.com`)
+          .get(pathname)
+          .delay(10)
+          .reply(() => {
+            maxInFlight = Math.max(maxInFlight, inFlight--);
+            return i % 2
+              ? [401, '']
+              : [200, { access_scopes: [{ handle: 'read_content' }] }];
+          });
+      });
+
+      const tokens = shops.map((name) => {
+        return { shop: `${name}.myshopify.com`, accessToken: 'waldo' };
+      });
+
+      tokens.push({ shop: 'evil.com', accessToken: 'waldo' });
+
+      const checkAccessToken = shopifyToken.checkAccessToken;
+
+      shopifyToken.checkAccessToken = function () {
+        inFlight++;
+        return checkAccessToken.apply(this, arguments);
+      };
+
+      return shopifyToken.checkAccessTokens(tokens, { concurrency: 2 })
+        .then((results) => {
+          expect(maxInFlight).to.equal(2);
+          expect(results.slice(0, 5)).to.deep.equal(shops.map((name, i) => {
+            return {
+              shop: `${name}.myshopify.com`,
+              valid: i % 2 === 0,
+              scopes: i % 2 ? [] : ['read_content']
+            };
+          }));
+          expect(results[5].shop).to.equal('evil.com');
+          expect(results[5].error).to.be.an.instanceof(
+            ShopifyToken.ShopifyTokenValidationError
+          );
+        });
+    });
+
+    it('resolves with an empty array if there are no tokens', function () {
+      return shopifyToken.checkAccessTokens([])
+        .then((results) => expect(results).to.deep.equal([]));
+    });
+
+    it('throws an error if the `concurrency` option is not valid', function () {
+      const tokens = [{ shop: 'qux.myshopify.com', accessToken: 'waldo' }];
+
+      [0, -1, 1.5, NaN, Infinity, '2', null].forEach((concurrency) => {
+        expect(() => {
+          shopifyToken.checkAccessTokens(tokens, { concurrency });
+        }).to.throw(
+          TypeError,
+          'The `concurrency` option must be a positive integer'
+        );
+      });
+    });
+  });
+
+  describe('token storage', function () {
+    const pathname = '/admin/oauth/access_token';
+    const hostname = 'qux.myshopify.com';
+    const scope = nock(`https://${hostname}`, { allowUnmocked: true });
+
+    const offline = {
+      id: 'qux.myshopify.com',
+      shop: 'qux.myshopify.com',
+      access_token: 'corge',
+      scope: 'read_content'
+    };
+    const online = {
+      id: 'qux.myshopify.com_42',
+      shop: 'qux.myshopify.com',
+      access_token: 'grault',
+      scope: 'read_content',
+      expires_in: 86399,
+      expiresAt: Date.now() + 86399000,
+      associated_user: { id: 42 }
+    };
+    const expired = {
+      id: 'qux.myshopify.com_43',
+      shop: 'qux.myshopify.com',
+      access_token: 'garply',
+      scope: 'read_content',
+      expires_in: 86399,
+      expiresAt: Date.now() - 1000,
+      associated_user: { id: 43 }
+    };
+    const other = {
+      id: 'quux.myshopify.com',
+      shop: 'quux.myshopify.com',
+      access_token: 'waldo',
+      scope: 'read_content'
+    };
+
+    afterEach(function () {
+      expect(scope.isDone()).to.be.true;
+    });
+
+    describe('ShopifyToken.getTokenId', function () {
+      it('returns the id of a token', function () {
+        expect(ShopifyToken.getTokenId(hostname)).to.equal(hostname);
+        expect(ShopifyToken.getTokenId(hostname, null)).to.equal(hostname);
+        expect(ShopifyToken.getTokenId(hostname, 42))
+          .to.equal('qux.myshopify.com_42');
+      });
+    });
+
+    [
+      ['MemoryStore', () => new ShopifyToken.MemoryStore()],
+      ['FileStore', () => new ShopifyToken.FileStore({
+        path: path.join(
+          os.tmpdir(),
+          `shopify-token-${crypto.randomBytes(8).toString('hex')}.json`
+        )
+      })]
+    ].forEach((entry) => {
+      describe(entry[0], function () {
+        let store;
+
+        beforeEach(function () {
+          store = entry[1]();
+
+          return Promise.all([offline, online, expired, other].map((record) => {
+            return store.set(record.id, record);
+          }));
+        });
+
+        afterEach(function () {
+          if (store.path) {
+            try {
+              fs.unlinkSync(store.path);
+            } catch (e) {
+              // Ignore the error.
+            }
+          }
+        });
+
+        it('gets a token record', function () {
+          return Promise.all([
+            store.get(offline.id),
+            store.get(online.id),
+            store.get('constructor')
+          ]).then((records) => {
+            expect(records).to.deep.equal([offline, online, undefined]);
+          });
+        });
+
+        it('does not return expired online tokens', function () {
+          return store.get(expired.id).then((record) => {
+            expect(record).to.equal(undefined);
+            return store.get(expired.id);
+          }).then((record) => {
+            expect(record).to.equal(undefined);
+          });
+        });
+
+        it('deletes a token record', function () {
+          return store.delete(offline.id).then(() => {
+            return store.delete('constructor');
+          }).then(() => {
+            return store.get(offline.id);
+          }).then((record) => {
+            expect(record).to.equal(undefined);
+          });
+        });
+
+        it('finds the token records of a shop', function () {
+          return store.findByShop(hostname).then((records) => {
+            expect(records).to.deep.equal([offline, online]);
+            return store.findByShop('quux.myshopify.com');
+          }).then((records) => {
+            expect(records).to.deep.equal([other]);
+          });
+        });
+      });
+    });
+
+    describe('MemoryStore', function () {
+      it('evicts the least recently used records', function () {
+        const store = new ShopifyToken.MemoryStore({ max: 2 });
+
+        return store.set(offline.id, offline).then(() => {
+          return store.set(online.id, online);
+        }).then(() => {
+          return store.get(offline.id);
+        }).then(() => {
+          return store.set(other.id, other);
+        }).then(() => {
+          return Promise.all([
+            store.get(offline.id),
+            store.get(online.id),
+            store.get(other.id)
+          ]);
+        }).then((records) => {
+          expect(records).to.deep.equal([offline, undefined, other]);
+        });
+      });
+    });
+
+    describe('FileStore', function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shopify-token-'));
+
+      after(function () {
+        fs.rmdirSync(path.join(dir, 'corge', 'grault'));
+        fs.rmdirSync(path.join(dir, 'corge'));
+        fs.unlinkSync(path.join(dir, 'tokens.json'));
+        fs.unlinkSync(path.join(dir, 'invalid.json'));
+        fs.rmdirSync(dir);
+      });
+
+      it('throws an error if the path is missing', function () {
+        expect(() => new ShopifyToken.FileStore())
+          .to.throw(Error, 'Missing or invalid options');
+      });
+
+      it('persists the records in the file', function () {
+        const file = path.join(dir, 'tokens.json');
+        const store = new ShopifyToken.FileStore({ path: file });
+
+        return store.set(offline.id, offline).then(() => {
+          const stats = fs.statSync(file);
+
+          if (process.platform !== 'win32') {
+            expect(stats.mode & 0o777).to.equal(0o600);
+          }
+
+          return new ShopifyToken.FileStore({ path: file }).get(offline.id);
+        }).then((record) => {
+          expect(record).to.deep.equal(offline);
+        });
+      });
+
+      it('rejects if the file cannot be read or parsed', function () {
+        const file = path.join(dir, 'invalid.json');
+
+        fs.writeFileSync(file, 'qux');
+
+        return new ShopifyToken.FileStore({ path: file }).get('qux').then(() => {
+          throw new Error('Test invalidation');
+        }, (err) => {
+          expect(err).to.be.an.instanceof(SyntaxError);
+          return new ShopifyToken.FileStore({ path: dir }).get('qux');
+        }).then(() => {
+          throw new Error('Test invalidation');
+        }, (err) => {
+          expect(err.code).to.equal('EISDIR');
+        });
+      });
+
+      it('rejects if the file cannot be written', function () {
+        const store = new ShopifyToken.FileStore({
+          path: path.join(dir, 'qux', 'tokens.json')
+        });
+
+        return store.set('qux', {}).then(() => {
+          throw new Error('Test invalidation');
+        }, (err) => {
+          expect(err.code).to.equal('ENOENT');
+
+          //
+          // The queue is not stalled by the failure.
+          //
+          return store.get('qux');
+        }).then((record) => {
+          expect(record).to.deep.equal({});
+
+          fs.mkdirSync(path.join(dir, 'corge'));
+          fs.mkdirSync(path.join(dir, 'corge', 'grault'));
+
+          const store = new ShopifyToken.FileStore({
+            path: path.join(dir, 'corge')
+          });
+
+          store.records = {};
+          return store.set('qux', {});
+        }).then(() => {
+          throw new Error('Test invalidation');
+        }, (err) => {
+          expect(err).to.be.an.instanceof(Error);
+          fs.unlinkSync(path.join(dir, 'corge.tmp'));
+        });
+      });
+    });
+
+    describe('the `store` option', function () {
+      it('saves the access tokens automatically', function () {
+        const store = new ShopifyToken.MemoryStore();
+        const shopifyToken = new ShopifyToken({
+          sharedSecret: 'foo',
+          redirectUri: 'bar',
+          apiKey: 'baz',
+          store
+        });
+
+        scope
+          .post(pathname)
+          .reply(200, { access_token: 'corge', scope: 'read_content' })
+          .post(pathname)
+          .reply(200, {
+            access_token: 'grault',
+            scope: 'read_content',
+            expires_in: 86399,
+            associated_user: { id: 42 }
+          });
+
+        return shopifyToken.getAccessToken(hostname, '123456').then((data) => {
+          expect(data).to.deep.equal({
+            access_token: 'corge',
+            scope: 'read_content'
+          });
+
+          return shopifyToken.getAccessToken(hostname, '123456');
+        }).then(() => {
+          return store.findByShop(hostname);
+        }).then((records) => {
+          expect(records).to.have.length(2);
+          expect(records[0]).to.deep.equal(offline);
+          expect(records[1].id).to.equal('qux.myshopify.com_42');
+          expect(records[1].access_token).to.equal('grault');
+          expect(records[1].expiresAt).to.be.a('number');
+        });
+      });
+
+      it('emits `storeError` if the token cannot be saved', function () {
+        const error = new Error('Oops');
+        const events = [];
+        const shopifyToken = new ShopifyToken({
+          sharedSecret: 'foo',
+          redirectUri: 'bar',
+          apiKey: 'baz',
+          store: {
+            set() {
+              return Promise.reject(error);
+            }
+          }
+        });
+
+        shopifyToken.on('storeError', (data) => events.push(data));
+
+        scope
+          .post(pathname)
+          .reply(200, { access_token: 'corge', scope: 'read_content' });
+
+        return shopifyToken.getAccessToken(hostname, '123456').then((data) => {
+          expect(data).to.deep.equal({
+            access_token: 'corge',
+            scope: 'read_content'
+          });
+          expect(events).to.deep.equal([
+            { shop: hostname, id: hostname, error }
+          ]);
+        });
+      });
+    });
+  });
+
+  describe('secret rotation', function () {
+    const matches = [];
+    const shopifyToken = new ShopifyToken({
+      sharedSecret: ['qux', 'foo'],
+      redirectUri: 'bar',
+      apiKey: 'baz',
+      onSecretMatch: (index, method) => matches.push([index, method])
+    });
+
+    beforeEach(function () {
+      matches.length = 0;
+    });
+
+    it('throws an error if the list of secrets is not valid', function () {
+      expect(() => {
+        new ShopifyToken({
+          sharedSecret: [],
+          redirectUri: 'bar',
+          apiKey: 'baz'
+        });
+      }).to.throw(Error, 'Missing or invalid options');
+
+      expect(() => {
+        new ShopifyToken({
+          sharedSecret: ['foo', ''],
+          redirectUri: 'bar',
+          apiKey: 'baz'
+        });
+      }).to.throw(Error, 'Missing or invalid options');
+    });
+
+    it('uses the first secret as the primary one', function () {
+      expect(shopifyToken.sharedSecret).to.equal('qux');
+      expect(shopifyToken.sharedSecrets).to.deep.equal(['qux', 'foo']);
+    });
+
+    it('accepts signatures made with any secret', function () {
+      const query = signQuery({ shop: 'qux.myshopify.com', timestamp: '1' });
+
+      expect(shopifyToken.verifyHmac(query)).to.equal(true);
+      expect(shopifyToken.verifyProxySignature({
+        shop: 'qux.myshopify.com',
+        path_prefix: '/apps/awesome_reviews',
+        timestamp: '1317327555',
+        extra: ['1', '2'],
+        signature:
+          'dc4e4e7ae71b39bb7503d80b0002f1b437807ace5404892dc1e7e47ed2438079'
+      })).to.equal(true);
+      expect(shopifyToken.verifyWebhook(
+        '{"id":1}',
+        'AIjtaDRhmh92SwzP4pZqTh+jI8U+D4dQ9I5FkEUPfXU='
+      )).to.equal(true);
+
+      expect(matches).to.deep.equal([
+        [1, 'verifyHmac'],
+        [1, 'verifyProxySignature'],
+        [1, 'verifyWebhook']
+      ]);
+    });
+
+    it('rejects signatures not made with any secret', function () {
+      const query = signQuery({ shop: 'qux.myshopify.com', timestamp: '1' });
+
+      query.timestamp = '2';
+
+      expect(shopifyToken.verifyHmac(query)).to.equal(false);
+      expect(matches).to.deep.equal([]);
+    });
+
+    it('signs the state with the primary secret', function () {
+      const state = shopifyToken.createState();
+      const old = new ShopifyToken({
+        sharedSecret: 'foo',
+        redirectUri: 'bar',
+        apiKey: 'baz'
+      });
+
+      expect(shopifyToken.verifyState(state)).to.be.an('object');
+      expect(shopifyToken.verifyState(old.createState())).to.be.an('object');
+      expect(() => old.verifyState(state)).to.throw(
+        ShopifyToken.ShopifyTokenValidationError,
+        'Invalid state signature'
+      );
+      expect(matches).to.deep.equal([[0, 'verifyState'], [1, 'verifyState']]);
+    });
+
+    it('accepts session tokens signed with any secret', function () {
+      const now = Math.floor(Date.now() / 1000);
+      const encode = (obj) => Buffer.from(JSON.stringify(obj))
+        .toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+      const data = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+        iss: 'https://qux.myshopify.com/admin',
+        dest: 'https://qux.myshopify.com',
+        aud: 'baz',
+        exp: now + 60
+      })}`;
+      const signature = crypto.createHmac('sha256', 'foo')
+        .update(data)
+        .digest('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+
+      expect(shopifyToken.verifySessionToken(`${data}.${signature}`))
+        .to.have.property('aud', 'baz');
+      expect(matches).to.deep.equal([[1, 'verifySessionToken']]);
+    });
+
+    it('uses the primary secret to get the access token', function () {
+      const scope = nock('https://qux.myshopify.com')
+        .post('/admin/oauth/access_token', {
+          client_secret: 'qux',
+          client_id: 'baz',
+          code: '123456'
+        })
+        .reply(200, { access_token: 'corge', scope: 'read_content' });
+
+      return shopifyToken.getAccessToken('qux.myshopify.com', '123456')
+        .then((data) => {
+          expect(data.access_token).to.equal('corge');
+          expect(scope.isDone()).to.be.true;
+        });
+    });
+  });
+
+  describe('CustomerAccount', function () {
+    const origin = 'https://shopify.com';
+    const tokenPath = '/authentication/1234/oauth/token';
+    const reply = {
+      access_token: 'a',
+      expires_in: 3600,
+      id_token: 'b',
+      refresh_token: 'c',
+      token_type: 'Bearer'
+    };
+
+    function createCustomerAccount(options) {
+      return new ShopifyToken.CustomerAccount(Object.assign({
+        shopId: 1234,
+        clientId: 'shp_foo',
+        redirectUri: 'https://example.com/callback'
+      }, options));
+    }
+
+    function createIdToken(claims) {
+      const encode = (value) => {
+        return Buffer.from(JSON.stringify(value)).toString('base64')
+          .replace(/=+$/, '')
+          .replace(/\+/g, '-')
+          .replace(/\//g, '_');
+      };
+      const now = Math.floor(Date.now() / 1000);
+
+      return [
+        encode({ alg: 'RS256', typ: 'JWT' }),
+        encode(Object.assign({
+          iss: `${origin}/authentication/1234`,
+          aud: 'shp_foo',
+          sub: 'gid://shopify/Customer/1',
+          exp: now + 3600,
+          iat: now,
+          nonce: 'qux'
+        }, claims)),
+        'signature'
+      ].join('.');
+    }
+
+    afterEach(function () {
+      nock.cleanAll();
+    });
+
+    it('throws an error when the required options are missing', function () {
+      expect(() => new ShopifyToken.CustomerAccount())
+        .to.throw(Error, 'Missing or invalid options');
+      expect(() => createCustomerAccount({ shopId: undefined }))
+        .to.throw(Error, 'Missing or invalid options');
+      expect(() => createCustomerAccount({ clientId: '' }))
+        .to.throw(Error, 'Missing or invalid options');
+      expect(() => createCustomerAccount({ redirectUri: '' }))
+        .to.throw(Error, 'Missing or invalid options');
+    });
+
+    it('generates nonces and PKCE code verifiers', function () {
+      const customerAccount = createCustomerAccount();
+
+      expect(customerAccount.generateNonce()).to.match(/^[0-9a-f]{32}$/);
+      expect(customerAccount.generateCodeVerifier())
+        .to.match(/^[\w-]{43}$/)
+        .and.to.not.equal(customerAccount.generateCodeVerifier());
+    });
+
+    it('derives the code challenge from the code verifier', function () {
+      const customerAccount = createCustomerAccount();
+
+      expect(
+        customerAccount.generateCodeChallenge(
+          'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk'
+        )
+      ).to.equal('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+    });
+
+    it('builds the authorization URL', function () {
+      const customerAccount = createCustomerAccount();
+
+      expect(customerAccount.generateAuthUrl('foo', 'bar', 'baz')).to.equal(
+        `${origin}/authentication/1234/oauth/authorize` +
+          '?scope=openid%20email%20customer-account-api%3Afull' +
+          '&client_id=shp_foo&response_type=code' +
+          '&redirect_uri=https%3A%2F%2Fexample.com%2Fcallback' +
+          '&state=foo&nonce=bar&code_challenge=baz' +
+          '&code_challenge_method=S256'
+      );
+    });
+
+    it('allows to customize the authorization URL', function () {
+      const customerAccount = createCustomerAccount({
+        scopes: 'openid customer-account-api:full',
+        baseUrl: 'http://127.0.0.1:3000'
+      });
+      const authUrl = customerAccount.generateAuthUrl('foo', 'bar', 'baz', {
+        scopes: ['openid', 'email'],
+        prompt: 'none',
+        locale: 'it'
+      });
+
+      expect(authUrl.startsWith(
+        'http://127.0.0.1:3000/authentication/1234/oauth/authorize?'
+      )).to.be.true;
+      expect(url.parse(authUrl, true).query).to.include({
+        scope: 'openid email',
+        prompt: 'none',
+        ui_locales: 'it'
+      });
+      expect(
+        url.parse(customerAccount.generateAuthUrl('foo', 'bar', 'baz'), true)
+          .query.scope
+      ).to.equal('openid customer-account-api:full');
+    });
+
+    it('exchanges an authorization code for an access token', function () {
+      const customerAccount = createCustomerAccount();
+      const events = [];
+      const scope = nock(origin, {
+        badheaders: ['authorization']
+      })
+        .post(tokenPath, {
+          client_id: 'shp_foo',
+          grant_type: 'authorization_code',
+          redirect_uri: 'https://example.com/callback',
+          code: 'corge',
+          code_verifier: 'grault'
+        })
+        .matchHeader('content-type', 'application/x-www-form-urlencoded')
+        .reply(200, reply);
+
+      customerAccount.on('request', (data) => events.push(data));
+
+      const time = Date.now();
+
+      return customerAccount.getAccessToken('corge', 'grault')
+        .then((data) => {
+          expect(scope.isDone()).to.be.true;
+          expect(data).to.include(reply);
+          expect(data.expiresAt).to.be.within(
+            time + 3600000,
+            Date.now() + 3600000
+          );
+          expect(events[0]).to.deep.equal({
+            shop: 'shopify.com',
+            method: 'POST',
+            path: tokenPath,
+            attempt: 1,
+            headers: {},
+            body: {
+              client_id: 'shp_foo',
+              grant_type: 'authorization_code',
+              redirect_uri: 'https://example.com/callback',
+              code: '[REDACTED]',
+              code_verifier: '[REDACTED]'
+            }
+          });
+        });
+    });
+
+    it('authenticates confidential clients', function () {
+      const customerAccount = createCustomerAccount({ clientSecret: 'garply' });
+      const events = [];
+      const scope = nock(origin, {
+        reqheaders: {
+          authorization: `Basic ${Buffer.from('shp_foo:garply')
+            .toString('base64')}`
+        }
+      })
+        .post(tokenPath, {
+          client_id: 'shp_foo',
+          grant_type: 'refresh_token',
+          refresh_token: 'c'
+        })
+        .reply(200, reply);
+
+      customerAccount.on('request', (data) => events.push(data));
+
+      return customerAccount.refreshAccessToken('c').then((data) => {
+        expect(scope.isDone()).to.be.true;
+        expect(data).to.include(reply);
+        expect(events[0].headers).to.deep.equal({
+          Authorization: '[REDACTED]'
+        });
+        expect(events[0].body.refresh_token).to.equal('[REDACTED]');
+      });
+    });
+
+    it('returns an error if the response is not valid', function () {
+      const customerAccount = createCustomerAccount({
+        timeout: 5000,
+        maxRetries: 1,
+        retryDelay: 1
+      });
+
+      nock(origin)
+        .post(tokenPath)
+        .reply(400, { error: 'invalid_grant' })
+        .post(tokenPath)
+        .reply(200, '{');
+
+      return customerAccount.refreshAccessToken('c').then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(ShopifyToken.ShopifyTokenHttpError);
+        expect(err.message).to.equal('Failed to get customer access token');
+        expect(err.statusCode).to.equal(400);
+        expect(err.error).to.equal('invalid_grant');
+
+        return customerAccount.getAccessToken('corge', 'grault', {
+          timeout: 1000
+        });
+      }).then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(ShopifyToken.ShopifyTokenParseError);
+        expect(err.responseBody).to.equal('{');
+      });
+    });
+
+    it('validates the claims of an ID token', function () {
+      const customerAccount = createCustomerAccount();
+      const idToken = createIdToken();
+
+      expect(customerAccount.verifyIdToken(idToken, { nonce: 'qux' }))
+        .to.include({ sub: 'gid://shopify/Customer/1', nonce: 'qux' });
+      expect(customerAccount.verifyIdToken(createIdToken({
+        aud: ['foo', 'shp_foo'],
+        exp: Math.floor(Date.now() / 1000) - 2,
+        iat: undefined
+      }))).to.include({ sub: 'gid://shopify/Customer/1' });
+    });
+
+    it('throws an error if the ID token is not valid', function () {
+      const customerAccount = createCustomerAccount();
+      const now = Math.floor(Date.now() / 1000);
+      const cases = [
+        [undefined, 'malformed_id_token'],
+        ['foo.bar', 'malformed_id_token'],
+        ['foo.bar.baz', 'malformed_id_token'],
+        [`foo.${Buffer.from('1').toString('base64')}.`, 'malformed_id_token'],
+        [createIdToken({ iss: origin }), 'invalid_id_token_issuer'],
+        [createIdToken({ aud: 'foo' }), 'invalid_id_token_audience'],
+        [createIdToken({ aud: ['foo'] }), 'invalid_id_token_audience'],
+        [createIdToken({ exp: undefined }), 'id_token_expired'],
+        [createIdToken({ exp: now - 10 }), 'id_token_expired'],
+        [createIdToken({ iat: now + 10 }), 'id_token_not_yet_valid'],
+        [createIdToken({ nonce: 'foo' }), 'invalid_id_token_nonce']
+      ];
+
+      cases.forEach((args) => {
+        expect(() => customerAccount.verifyIdToken(args[0], { nonce: 'qux' }))
+          .to.throw(ShopifyToken.ShopifyTokenValidationError)
+          .with.property('reason', args[1]);
+      });
+
+      expect(() => {
+        customerAccount.verifyIdToken(createIdToken({ exp: now - 10 }), {
+          clockTolerance: 20
+        });
+      }).to.not.throw();
+    });
+
+    it('builds the logout URL', function () {
+      const customerAccount = createCustomerAccount();
+
+      expect(customerAccount.generateLogoutUrl('foo')).to.equal(
+        `${origin}/authentication/1234/logout?id_token_hint=foo`
+      );
+      expect(
+        customerAccount.generateLogoutUrl('foo', 'https://example.com/')
+      ).to.equal(
+        `${origin}/authentication/1234/logout?id_token_hint=foo` +
+          '&post_logout_redirect_uri=https%3A%2F%2Fexample.com%2F'
+      );
+    });
+  });
+
+  describe('code replay protection', function () {
+    const hostname = 'qux.myshopify.com';
+    const pathname = '/admin/oauth/access_token';
+    const reply = { access_token: 'a', scope: 'read_content' };
+
+    function createShopifyToken(options) {
+      return new ShopifyToken(Object.assign({
+        sharedSecret: 'foo',
+        redirectUri: 'bar',
+        apiKey: 'baz',
+        codeCache: new ShopifyToken.MemoryCache()
+      }, options));
+    }
+
+    afterEach(function () {
+      nock.cleanAll();
+    });
+
+    describe('MemoryCache', function () {
+      it('keeps the entries until they expire', function () {
+        const cache = new ShopifyToken.MemoryCache();
+
+        return Promise.all([
+          cache.set('a', 1, 60000),
+          cache.set('b', 2, 0)
+        ]).then(() => {
+          return Promise.all([cache.get('a'), cache.get('b'), cache.get('c')]);
+        }).then((values) => {
+          expect(values).to.deep.equal([1, undefined, undefined]);
+          expect(cache.entries.has('b')).to.be.false;
+
+          return cache.delete('a');
+        }).then(() => cache.get('a')).then((value) => {
+          expect(value).to.equal(undefined);
+        });
+      });
+
+      it('evicts the oldest entries when full', function () {
+        const cache = new ShopifyToken.MemoryCache({ max: 2 });
+
+        return cache.set('a', 1, 60000)
+          .then(() => cache.set('b', 2, 60000))
+          .then(() => cache.set('a', 3, 60000))
+          .then(() => cache.set('c', 4, 60000))
+          .then(() => {
+            expect(Array.from(cache.entries.keys())).to.deep.equal(['a', 'c']);
+          });
+      });
+    });
+
+    it('coalesces concurrent requests with the same code', function () {
+      const shopifyToken = createShopifyToken();
+      const scope = nock(`https://${hostname}`)
+        .post(pathname, { client_secret: 'foo', client_id: 'baz', code: 'b' })
+        .delay(20)
+        .reply(200, reply);
+
+      return Promise.all([
+        shopifyToken.getAccessToken(hostname, 'b'),
+        shopifyToken.getAccessToken(hostname, 'b')
+      ]).then((results) => {
+        expect(scope.isDone()).to.be.true;
+        expect(results[0]).to.deep.equal(reply);
+        expect(results[1]).to.equal(results[0]);
+        expect(shopifyToken.pendingCodes.size).to.equal(0);
+      });
+    });
+
+    (typeof AbortController === 'function' ? describe : describe.skip)(
+      'the `signal` option',
+      function () {
+        it('does not abort the shared request', function () {
+          const shopifyToken = createShopifyToken();
+          const controller = new AbortController();
+          const scope = nock(`https://${hostname}`)
+            .post(pathname)
+            .delay(20)
+            .reply(200, reply);
+          const first = shopifyToken.getAccessToken(hostname, 'b', {
+            signal: controller.signal
+          });
+          const second = shopifyToken.getAccessToken(hostname, 'b');
+
+          setTimeout(() => controller.abort(), 5);
+
+          return first.then(() => {
+            throw new Error('Test invalidation');
+          }, (err) => {
+            expect(err).to.be.an.instanceof(ShopifyToken.AbortError);
+
+            return second;
+          }).then((data) => {
+            expect(scope.isDone()).to.be.true;
+            expect(data).to.deep.equal(reply);
+
+            return shopifyToken.getAccessToken(hostname, 'b');
+          }).then(() => {
+            throw new Error('Test invalidation');
+          }, (err) => {
+            expect(err.reason).to.equal('code_already_used');
+          });
+        });
+
+        it('does not affect the caller if not aborted', function () {
+          const shopifyToken = createShopifyToken();
+          const controller = new AbortController();
+          const scope = nock(`https://${hostname}`)
+            .post(pathname)
+            .reply(200, reply)
+            .post(pathname)
+            .reply(503, 'Service Unavailable');
+
+          return shopifyToken.getAccessToken(hostname, 'b', {
+            signal: controller.signal
+          }).then((data) => {
+            expect(data).to.deep.equal(reply);
+
+            return shopifyToken.getAccessToken(hostname, 'c', {
+              signal: controller.signal
+            });
+          }).then(() => {
+            throw new Error('Test invalidation');
+          }, (err) => {
+            expect(scope.isDone()).to.be.true;
+            expect(err).to.be.an.instanceof(
+              ShopifyToken.ShopifyTokenHttpError
+            );
+          });
+        });
+
+        it('rejects without using the code if already aborted', function () {
+          const shopifyToken = createShopifyToken();
+          const controller = new AbortController();
+
+          controller.abort();
+
+          return shopifyToken.getAccessToken(hostname, 'b', {
+            signal: controller.signal
+          }).then(() => {
+            throw new Error('Test invalidation');
+          }, (err) => {
+            expect(err).to.be.an.instanceof(ShopifyToken.AbortError);
+            expect(shopifyToken.pendingCodes.size).to.equal(0);
+
+            return shopifyToken.codeCache.get(`${hostname}:b`);
+          }).then((value) => {
+            expect(value).to.equal(undefined);
+          });
+        });
+      }
+    );
+
+    it('rejects a code that was already used', function () {
+      const shopifyToken = createShopifyToken();
+
+      nock(`https://${hostname}`).post(pathname).reply(200, reply);
+
+      return shopifyToken.getAccessToken(hostname, 'b').then(() => {
+        return shopifyToken.getAccessToken(hostname, 'b');
+      }).then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(
+          ShopifyToken.ShopifyTokenValidationError
+        );
+        expect(err.reason).to.equal('code_already_used');
+        expect(err.message).to.equal('Authorization code already used');
+      });
+    });
+
+    it('allows to retry if the exchange fails', function () {
+      const shopifyToken = createShopifyToken();
+      const scope = nock(`https://${hostname}`)
+        .post(pathname)
+        .reply(503, 'Service Unavailable')
+        .post(pathname)
+        .reply(200, reply);
+
+      return shopifyToken.getAccessToken(hostname, 'b').then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(ShopifyToken.ShopifyTokenHttpError);
+        expect(shopifyToken.pendingCodes.size).to.equal(0);
+
+        return shopifyToken.getAccessToken(hostname, 'b');
+      }).then((data) => {
+        expect(scope.isDone()).to.be.true;
+        expect(data).to.deep.equal(reply);
+      });
+    });
+
+    it('supports synchronous caches', function () {
+      const entries = new Map();
+      const shopifyToken = createShopifyToken({
+        codeCache: {
+          get: (key) => entries.get(key),
+          set: (key, value, ttl) => {
+            entries.set(key, { value, ttl });
+          },
+          delete: (key) => {
+            entries.delete(key);
+          }
+        },
+        codeTtl: 1000
+      });
+
+      nock(`https://${hostname}`).post(pathname).reply(200, reply);
+
+      return shopifyToken.getAccessToken(hostname, 'b').then(() => {
+        expect(Array.from(entries)).to.deep.equal([
+          [`${hostname}:b`, { value: true, ttl: 1000 }]
+        ]);
+      });
+    });
+
+    it('rejects if a synchronous cache throws', function () {
+      const error = new Error('Oops');
+      const shopifyToken = createShopifyToken({
+        codeCache: {
+          get() {
+            throw error;
+          }
+        }
+      });
+      let promise;
+
+      expect(() => {
+        promise = shopifyToken.getAccessToken(hostname, 'b');
+      }).to.not.throw();
+
+      return promise.then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err).to.equal(error);
+        expect(shopifyToken.pendingCodes.size).to.equal(0);
+      });
+    });
+
+    it('forgets the consumed codes after `codeTtl` milliseconds', function () {
+      const shopifyToken = createShopifyToken({ codeTtl: 0 });
+      const scope = nock(`https://${hostname}`)
+        .post(pathname)
+        .times(2)
+        .reply(200, reply);
+
+      return shopifyToken.getAccessToken(hostname, 'b').then(() => {
+        return shopifyToken.getAccessToken(hostname, 'b');
+      }).then((data) => {
+        expect(scope.isDone()).to.be.true;
+        expect(data).to.deep.equal(reply);
+      });
+    });
+  });
+
+  describe('events', function () {
+    const hostname = 'qux.myshopify.com';
+
+    function createShopifyToken(events) {
+      const shopifyToken = new ShopifyToken({
+        sharedSecret: 'secret-value',
+        redirectUri: 'bar',
+        apiKey: 'baz',
+        maxRetries: 2,
+        retryDelay: 1
+      });
+
+      ['request', 'response', 'retry', 'hmacFailure'].forEach((name) => {
+        shopifyToken.on(name, (data) => events.push({ name, data }));
+      });
+
+      return shopifyToken;
+    }
+
+    afterEach(function () {
+      nock.cleanAll();
+    });
+
+    it('emits the `request`, `response`, and `retry` events', function () {
+      const events = [];
+      const shopifyToken = createShopifyToken(events);
+      const scope = nock(`https://${hostname}`)
+        .post('/admin/oauth/access_token')
+        .replyWithError('socket hang up')
+        .post('/admin/oauth/access_token')
+        .reply(503, 'Service Unavailable', { 'Retry-After': '0' })
+        .post('/admin/oauth/access_token')
+        .reply(200, { access_token: 'token-value', scope: 'read_content' });
+
+      return shopifyToken.getAccessToken(hostname, 'code-value').then(() => {
+        const request = {
+          shop: hostname,
+          method: 'POST',
+          path: '/admin/oauth/access_token'
+        };
+
+        expect(scope.isDone()).to.be.true;
+        expect(events.map((event) => event.name)).to.deep.equal([
+          'request',
+          'response',
+          'retry',
+          'request',
+          'response',
+          'retry',
+          'request',
+          'response'
+        ]);
+        expect(events[0].data).to.deep.equal(Object.assign({
+          attempt: 1,
+          headers: undefined,
+          body: {
+            client_secret: '[REDACTED]',
+            client_id: 'baz',
+            code: '[REDACTED]'
+          }
+        }, request));
+
+        expect(events[1].data).to.include(Object.assign({
+          attempt: 1,
+          statusCode: null
+        }, request));
+        expect(events[1].data.error.message).to.equal('socket hang up');
+        expect(events[1].data.duration).to.be.a('number');
+
+        expect(events[2].data).to.include(Object.assign({
+          attempt: 2,
+          statusCode: null
+        }, request));
+        expect(events[2].data.error).to.equal(events[1].data.error);
+        expect(events[2].data.delay).to.be.a('number');
+
+        expect(events[4].data).to.include({ attempt: 2, statusCode: 503 });
+        expect(events[5].data).to.include(Object.assign({
+          attempt: 3,
+          delay: 0,
+          statusCode: 503,
+          error: null
+        }, request));
+
+        expect(events[7].data).to.include(Object.assign({
+          attempt: 3,
+          statusCode: 200,
+          error: null
+        }, request));
+
+        const serialized = JSON.stringify(events);
+
+        expect(serialized).to.not.include('secret-value');
+        expect(serialized).to.not.include('code-value');
+        expect(serialized).to.not.include('token-value');
+      });
+    });
+
+    it('redacts the access token header', function () {
+      const events = [];
+      const shopifyToken = createShopifyToken(events);
+
+      nock(`https://${hostname}`, {
+        reqheaders: { 'X-Shopify-Access-Token': 'token-value' }
+      })
+        .delete('/admin/api_permissions/current.json')
+        .reply(200, {});
+
+      return shopifyToken.revokeAccessToken(hostname, 'token-value')
+        .then(() => {
+          expect(events[0].data.headers).to.deep.equal({
+            'X-Shopify-Access-Token': '[REDACTED]'
+          });
+          expect(events[0].data.body).to.equal(undefined);
+          expect(JSON.stringify(events)).to.not.include('token-value');
+        });
+    });
+
+    it('emits the `hmacFailure` event', function () {
+      const events = [];
+      const shopifyToken = createShopifyToken(events);
+      const shop = hostname;
+      const digest = crypto
+        .createHmac('sha256', 'foo')
+        .update('shop=qux.myshopify.com')
+        .digest('hex');
+
+      expect(shopifyToken.verifyHmac({ shop })).to.equal(false);
+      expect(shopifyToken.verifyHmac({ hmac: digest, shop })).to.equal(false);
+      expect(shopifyToken.verifyProxySignature({ shop })).to.equal(false);
+      expect(shopifyToken.verifyProxySignature({ signature: digest, shop }))
+        .to.equal(false);
+      expect(shopifyToken.verifyWebhook('{}')).to.equal(false);
+      expect(shopifyToken.verifyWebhook('{}', 'Zm9v')).to.equal(false);
+      expect(
+        shopifyToken.verifyWebhook('{}', Buffer.from(digest, 'hex')
+          .toString('base64'))
+      ).to.equal(false);
+
+      expect(events).to.deep.equal([
+        ['verifyHmac', 'malformed', shop],
+        ['verifyHmac', 'mismatch', shop],
+        ['verifyProxySignature', 'malformed', shop],
+        ['verifyProxySignature', 'mismatch', shop],
+        ['verifyWebhook', 'malformed', undefined],
+        ['verifyWebhook', 'malformed', undefined],
+        ['verifyWebhook', 'mismatch', undefined]
+      ].map((args) => ({
+        name: 'hmacFailure',
+        data: { method: args[0], reason: args[1], shop: args[2] }
+      })));
+
+      events.length = 0;
+
+      return Promise.all([
+        shopifyToken.verifyHmacAsync({ shop }),
+        shopifyToken.verifyHmacAsync({ hmac: digest, shop })
+      ]).then((results) => {
+        expect(results).to.deep.equal([false, false]);
+        expect(events.map((event) => event.data)).to.deep.equal([
+          { method: 'verifyHmacAsync', reason: 'malformed', shop },
+          { method: 'verifyHmacAsync', reason: 'mismatch', shop }
+        ]);
+      });
+    });
+
+    it('does not emit the `hmacFailure` event on success', function () {
+      const events = [];
+      const shopifyToken = createShopifyToken(events);
+      const query = { shop: hostname };
+
+      query.hmac = crypto
+        .createHmac('sha256', 'secret-value')
+        .update('shop=qux.myshopify.com')
+        .digest('hex');
+
+      expect(shopifyToken.verifyHmac(query)).to.equal(true);
+      expect(events).to.deep.equal([]);
+    });
+  });
+
+  describe('registry', function () {
+    function sign(secret, query) {
+      const message = Object.keys(query)
+        .map((key) => `${key}=${query[key]}`)
+        .sort()
+        .join('&');
+
+      return Object.assign({
+        hmac: crypto.createHmac('sha256', secret).update(message).digest('hex')
+      }, query);
+    }
+
+    function createRegistry() {
+      return ShopifyToken.createRegistry({
+        public: { sharedSecret: 'foo', apiKey: 'baz', scopes: 'read_orders' },
+        custom: { sharedSecret: 'qux', apiKey: 'quux' }
+      }, { redirectUri: 'bar' });
+    }
+
+    it('creates an instance for each app', function () {
+      const registry = createRegistry();
+      const app = registry.get('public');
+
+      expect(registry.names()).to.deep.equal(['public', 'custom']);
+      expect(app).to.be.an.instanceof(ShopifyToken);
+      expect(app.redirectUri).to.equal('bar');
+      expect(app.generateAuthUrl('qux', undefined, 'corge')).to.equal(
+        'https://qux.myshopify.com/admin/oauth/authorize' +
+          '?scope=read_orders&state=corge&redirect_uri=bar&client_id=baz'
+      );
+      expect(registry.get('custom').sharedSecret).to.equal('qux');
+      expect(registry.get('garply')).to.equal(undefined);
+    });
+
+    it('can be created without apps', function () {
+      const registry = ShopifyToken.createRegistry();
+
+      expect(registry.names()).to.deep.equal([]);
+
+      registry.add('public', {
+        sharedSecret: 'foo',
+        redirectUri: 'bar',
+        apiKey: 'baz'
+      });
+
+      expect(registry.names()).to.deep.equal(['public']);
+      expect(registry.delete('public')).to.equal(true);
+      expect(registry.delete('public')).to.equal(false);
+      expect(registry.names()).to.deep.equal([]);
+    });
+
+    it('throws an error if the name or API key is in use', function () {
+      const registry = createRegistry();
+
+      expect(() => registry.add('public', { sharedSecret: 'a', apiKey: 'b' }))
+        .to.throw(Error, 'An app named "public" already exists');
+      expect(() => registry.add('other', { sharedSecret: 'a', apiKey: 'baz' }))
+        .to.throw(Error, 'An app with API key "baz" already exists');
+      expect(registry.names()).to.deep.equal(['public', 'custom']);
+    });
+
+    it('throws an error if the options of an app are invalid', function () {
+      expect(() => ShopifyToken.createRegistry({ public: { apiKey: 'baz' } }))
+        .to.throw(Error, 'Missing or invalid options');
+    });
+
+    it('finds an app by API key', function () {
+      const registry = createRegistry();
+      const entry = registry.findByApiKey('quux');
+
+      expect(entry.name).to.equal('custom');
+      expect(entry.shopifyToken).to.equal(registry.get('custom'));
+      expect(registry.findByApiKey('garply')).to.equal(null);
+    });
+
+    it('finds the app that signed a query string', function () {
+      const registry = createRegistry();
+      const query = { code: 'a', shop: 'qux.myshopify.com', timestamp: '1' };
+
+      expect(registry.findByHmac(sign('qux', query)).name).to.equal('custom');
+      expect(registry.findByHmac(sign('foo', query)).name).to.equal('public');
+      expect(registry.findByHmac(sign('garply', query))).to.equal(null);
+      expect(registry.findByHmac(query)).to.equal(null);
+    });
+
+    it('uses the `client_id` parameter to find the app', function () {
+      const registry = createRegistry();
+      const query = { client_id: 'quux', shop: 'qux.myshopify.com' };
+
+      expect(registry.findByHmac(sign('qux', query)).name).to.equal('custom');
+      expect(registry.findByHmac(sign('foo', query))).to.equal(null);
+      expect(
+        registry.findByHmac(sign('foo', Object.assign({}, query, {
+          client_id: 'garply'
+        })))
+      ).to.equal(null);
+    });
+
+    it('finds the app that signed a webhook', function () {
+      const registry = createRegistry();
+      const hmac = crypto
+        .createHmac('sha256', 'qux')
+        .update('{"id":1}')
+        .digest('base64');
+
+      expect(registry.findByWebhook('{"id":1}', hmac).name).to.equal('custom');
+      expect(registry.findByWebhook('{"id":2}', hmac)).to.equal(null);
+    });
+
+    it('does not emit the `hmacFailure` event during the lookups', function () {
+      const registry = createRegistry();
+      const query = { code: 'a', shop: 'qux.myshopify.com', timestamp: '1' };
+      const hmac = crypto
+        .createHmac('sha256', 'qux')
+        .update('{"id":1}')
+        .digest('base64');
+      const events = [];
+
+      registry.names().forEach((name) => {
+        registry.get(name).on('hmacFailure', (data) => events.push(data));
+      });
+
+      expect(registry.findByHmac(sign('qux', query)).name).to.equal('custom');
+      expect(registry.findByHmac(sign('garply', query))).to.equal(null);
+      expect(registry.findByHmac(query)).to.equal(null);
+      expect(registry.findByWebhook('{"id":1}', hmac).name).to.equal('custom');
+      expect(registry.findByWebhook('{"id":2}', hmac)).to.equal(null);
+      expect(events).to.deep.equal([]);
+    });
+
+    it('gets access tokens with the credentials of each app', function () {
+      const registry = createRegistry();
+
+      nock('https://qux.myshopify.com')
+        .post('/admin/oauth/access_token', {
+          client_id: 'quux',
+          client_secret: 'qux',
+          code: 'a'
+        })
+        .reply(200, { access_token: 'b', scope: 'read_content' });
+
+      return registry.get('custom').getAccessToken('qux.myshopify.com', 'a')
+        .then((data) => {
+          expect(data).to.deep.equal({
+            access_token: 'b',
+            scope: 'read_content'
+          });
+        });
+    });
+  });
+
+  describe('cli', function () {
+    const cli = require('./lib/cli');
+
+    describe('parseArgs', function () {
+      it('reads the options from the arguments and the env', function () {
+        const options = cli.parseArgs(
+          ['--shop', 'qux', '--scopes=read_orders', '--expiring'],
+          {
+            SHOPIFY_API_KEY: 'baz',
+            SHOPIFY_API_SECRET: 'foo',
+            SHOPIFY_SCOPES: 'read_content',
+            SHOPIFY_SHOP: 'corge'
+          }
+        );
+
+        expect(options).to.deep.equal({
+          redirectUri: 'http://localhost:8080/callback',
+          format: 'json',
+          apiKey: 'baz',
+          sharedSecret: 'foo',
+          scopes: 'read_orders',
+          shop: 'qux',
+          expiring: true
+        });
+      });
+
+      it('returns `{ help: true }` if the help is requested', function () {
+        expect(cli.parseArgs(['--api-key', 'baz', '-h'], {}))
+          .to.deep.equal({ help: true });
+        expect(cli.parseArgs(['--help'], {})).to.deep.equal({ help: true });
+      });
+
+      it('throws an error if an argument is not valid', function () {
+        const env = {
+          SHOPIFY_API_KEY: 'baz',
+          SHOPIFY_API_SECRET: 'foo',
+          SHOPIFY_SHOP: 'qux'
+        };
+
+        expect(() => cli.parseArgs(['--foo'], env))
+          .to.throw(Error, 'Unknown option: --foo');
+        expect(() => cli.parseArgs(['--shop'], env))
+          .to.throw(Error, 'Missing value for option: --shop');
+        expect(() => cli.parseArgs(['--shop='], env))
+          .to.throw(Error, 'Missing value for option: --shop');
+        expect(() => cli.parseArgs(['--format', 'xml'], env))
+          .to.throw(Error, 'Invalid format: xml');
+        expect(() => {
+          cli.parseArgs(['--redirect-uri', 'https://localhost/callback'], env);
+        }).to.throw(
+          Error,
+          'Invalid redirect URI: https://localhost/callback ' +
+            '(only http: is supported)'
+        );
+        expect(() => cli.parseArgs(['--api-key', 'baz'], {})).to.throw(
+          Error,
+          'Missing required option: --shared-secret (or SHOPIFY_API_SECRET)'
+        );
+      });
+    });
+
+    describe('formatOutput', function () {
+      it('formats the access token data', function () {
+        const data = {
+          shop: 'qux.myshopify.com',
+          token: 'a',
+          scope: 'read_content,read_orders'
+        };
+
+        expect(cli.formatOutput(data, 'json'))
+          .to.equal(`${JSON.stringify(data, null, 2)}\n`);
+        expect(cli.formatOutput(data, 'env')).to.equal(
+          'SHOPIFY_SHOP=qux.myshopify.com\n' +
+            'SHOPIFY_ACCESS_TOKEN=a\n' +
+            'SHOPIFY_SCOPES=read_content,read_orders\n'
+        );
+        expect(
+          cli.formatOutput(Object.assign({ refreshToken: 'b' }, data), 'env')
+        ).to.match(/\nSHOPIFY_REFRESH_TOKEN=b\n$/);
+      });
+    });
+
+    describe('main', function () {
+      const shop = 'mock-shop.myshopify.com';
+      let server;
+      let port;
+
+      function createIo(onAuthUrl) {
+        const stdout = { data: '', write: (chunk) => stdout.data += chunk };
+        const stderr = {
+          data: '',
+          write: (chunk) => {
+            const match = /^https?:\/\/\S+$/m.exec(chunk);
+
+            stderr.data += chunk;
+            if (match && onAuthUrl) onAuthUrl(match[0]);
+          }
+        };
+
+        return { stdout, stderr };
+      }
+
+      function get(location) {
+        return new Promise((resolve, reject) => {
+          http.get(location, (res) => {
+            res.resume();
+            res.on('end', () => resolve(res));
+          }).on('error', reject);
+        });
+      }
+
+      function authorize(authUrl) {
+        return get(authUrl).then((res) => res.headers.location);
+      }
+
+      function args(extra) {
+        return [
+          '--redirect-uri',
+          `http://127.0.0.1:${port}/callback`,
+          '--base-url',
+          server.url,
+          '--shop',
+          'mock-shop'
+        ].concat(extra || []);
+      }
+
+      const env = { SHOPIFY_API_KEY: 'baz', SHOPIFY_API_SECRET: 'foo' };
+
+      before(function () {
+        server = ShopifyToken.createMockServer({
+          sharedSecret: 'foo',
+          apiKey: 'baz'
+        });
+
+        return server.listen().then(() => {
+          return new Promise((resolve) => {
+            const other = http.createServer();
+
+            other.listen(0, '127.0.0.1', () => {
+              port = other.address().port;
+              other.close(resolve);
+            });
+          });
+        });
+      });
+
+      after(function () {
+        return server.close();
+      });
+
+      it('prints the help', function () {
+        const io = createIo();
+
+        return cli.main(ShopifyToken, ['--help'], {}, io).then((code) => {
+          expect(code).to.equal(0);
+          expect(io.stdout.data).to.match(/^Usage: shopify-token/);
+        });
+      });
+
+      it('prints the usage if an argument is not valid', function () {
+        const io = createIo();
+
+        return cli.main(ShopifyToken, ['--foo'], env, io).then((code) => {
+          expect(code).to.equal(1);
+          expect(io.stderr.data).to.match(/^Unknown option: --foo\n\nUsage/);
+        });
+      });
+
+      it('obtains an access token', function () {
+        const io = createIo((authUrl) => {
+          expect(url.parse(authUrl, true).query).to.include({
+            scope: 'read_orders',
+            'grant_options[]': 'per-user'
+          });
+
+          get(`http://127.0.0.1:${port}/favicon.ico`).then((res) => {
+            expect(res.statusCode).to.equal(404);
+            return authorize(authUrl);
+          }).then(get).then((res) => {
+            expect(res.statusCode).to.equal(200);
+          });
+        });
+
+        return cli.main(ShopifyToken, args([
+          '--scopes',
+          'read_orders',
+          '--access-mode',
+          'per-user'
+        ]), env, io).then((code) => {
+          const data = JSON.parse(io.stdout.data);
+
+          expect(code).to.equal(0);
+          expect(data.shop).to.equal(shop);
+          expect(data.token).to.match(/^shpua_/);
+          expect(data.scope).to.equal('read_orders');
+        });
+      });
+
+      it('writes the output to a file', function () {
+        const output = path.join(os.tmpdir(), `shopify-token-${Date.now()}`);
+        const io = createIo((authUrl) => authorize(authUrl).then(get));
+
+        return cli.main(ShopifyToken, args([
+          '--expiring',
+          '--format',
+          'env',
+          '--output',
+          output
+        ]), env, io).then((code) => {
+          const data = fs.readFileSync(output, 'utf8');
+
+          expect(code).to.equal(0);
+          expect(io.stdout.data).to.equal('');
+          expect(io.stderr.data).to.match(
+            new RegExp(`The access token was written to ${output}\n$`)
+          );
+          expect(data).to.match(/^SHOPIFY_SHOP=mock-shop\.myshopify\.com\n/);
+          expect(data).to.match(/\nSHOPIFY_REFRESH_TOKEN=shprt_\w+\n$/);
+
+          if (process.platform !== 'win32') {
+            expect(fs.statSync(output).mode & 0o777).to.equal(0o600);
+          }
+
+          fs.unlinkSync(output);
+        });
+      });
+
+      it('fails if the output cannot be written', function () {
+        const output = path.join(os.tmpdir(), 'shopify-token-missing', 'a');
+        const io = createIo((authUrl) => authorize(authUrl).then(get));
+
+        return cli.main(ShopifyToken, args(['--output', output]), env, io)
+          .then((code) => {
+            expect(code).to.equal(1);
+            expect(io.stderr.data).to.match(/ENOENT/);
+          });
+      });
+
+      it('fails if the callback is not valid', function () {
+        const io = createIo((authUrl) => {
+          authorize(authUrl).then((location) => {
+            return get(location.replace('code=', 'code=a'));
+          }).then((res) => {
+            expect(res.statusCode).to.equal(400);
+          });
+        });
+
+        return cli.main(ShopifyToken, args(), env, io).then((code) => {
+          expect(code).to.equal(1);
+          expect(io.stderr.data).to.match(/Invalid hmac\n$/i);
+        });
+      });
+
+      it('fails if the state is not the expected one', function () {
+        const other = new ShopifyToken({
+          sharedSecret: 'foo',
+          redirectUri: 'bar',
+          apiKey: 'baz'
+        });
+
+        function callWithState(state) {
+          const io = createIo((authUrl) => {
+            const parsed = url.parse(authUrl, true);
+
+            delete parsed.search;
+            parsed.query.state = state;
+
+            authorize(url.format(parsed)).then(get).then((res) => {
+              expect(res.statusCode).to.equal(400);
+            });
+          });
+
+          return cli.main(ShopifyToken, args(), env, io).then((code) => {
+            expect(code).to.equal(1);
+            return io.stderr.data;
+          });
+        }
+
+        return callWithState(other.createState({ shop })).then((stderr) => {
+          expect(stderr).to.match(/State mismatch\n$/);
+
+          return callWithState(
+            other.createState({ shop: 'qux.myshopify.com' })
+          );
+        }).then((stderr) => {
+          expect(stderr).to.match(/State shop mismatch\n$/);
+        });
+      });
+
+      it('fails if the shop is not valid', function () {
+        const io = createIo();
+        const argv = args().slice(0, -1).concat('foo.example.com');
+
+        return cli.main(ShopifyToken, argv, env, io).then((code) => {
+          expect(code).to.equal(1);
+          expect(io.stderr.data).to.equal('Invalid shop domain\n');
+        });
+      });
+
+      it('fails if the callback server cannot listen', function () {
+        const io = createIo();
+        const argv = args().concat(
+          '--redirect-uri',
+          'http://192.0.2.1/callback'
+        );
+
+        return cli.main(ShopifyToken, argv, env, io).then((code) => {
+          expect(code).to.equal(1);
+          expect(io.stderr.data).to.match(/^listen E\w+: .+:80\n$/);
+        });
+      });
+    });
+  });
+
+  describe('mock server', function () {
+    const shop = 'mock-shop.myshopify.com';
+    const redirectUri = 'http://localhost/callback';
+    let server;
+    let shopifyToken;
+
+    function request(path, options, body) {
+      return new Promise((resolve, reject) => {
+        const req = http.request(`${server.url}${path}`, options, (res) => {
+          let data = '';
+
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => data += chunk);
+          res.on('end', () => {
+            resolve({ statusCode: res.statusCode, headers: res.headers, data });
+          });
+        });
+
+        req.on('error', reject);
+        req.end(body);
+      });
+    }
+
+    function expectHttpError(promise, statusCode, error) {
+      return promise.then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(ShopifyToken.ShopifyTokenHttpError);
+        expect(err.statusCode).to.equal(statusCode);
+        expect(err.error).to.equal(error);
+      });
+    }
+
+    before(function () {
+      server = ShopifyToken.createMockServer({
+        sharedSecret: 'foo',
+        apiKey: 'baz',
+        scope: 'read_products'
+      });
+
+      return server.listen().then((baseUrl) => {
+        shopifyToken = new ShopifyToken({
+          sharedSecret: 'foo',
+          apiKey: 'baz',
+          redirectUri,
+          baseUrl
+        });
+      });
+    });
+
+    after(function () {
+      return server.close();
+    });
+
+    it('throws an error when the required options are missing', function () {
+      expect(() => ShopifyToken.createMockServer())
+        .to.throw(Error, 'Missing or invalid options');
+      expect(() => ShopifyToken.createMockServer({ apiKey: 'baz' }))
+        .to.throw(Error, 'Missing or invalid options');
+    });
+
+    it('can use HTTPS', function () {
+      const server = ShopifyToken.createMockServer({
+        sharedSecret: 'foo',
+        apiKey: 'baz',
+        https: {}
+      });
+
+      return server.listen().then((url) => {
+        expect(url).to.match(/^https:\/\/127\.0\.0\.1:\d+$/);
+        return server.close();
+      });
+    });
+
+    it('rejects if the server cannot listen or be closed', function () {
+      const other = ShopifyToken.createMockServer({
+        sharedSecret: 'foo',
+        apiKey: 'baz'
+      });
+
+      return other.listen(url.parse(server.url).port).then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err.code).to.equal('EADDRINUSE');
+        return other.close();
+      }).then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err.code).to.equal('ERR_SERVER_NOT_RUNNING');
+      });
+    });
+
+    it('uses the `baseUrl` option in the authorization URL', function () {
+      expect(shopifyToken.generateAuthUrl('mock-shop', 'read_orders', 'qux'))
+        .to.equal(
+          `${server.url}/admin/oauth/authorize?scope=read_orders&state=qux` +
+            `&redirect_uri=${encodeURIComponent(redirectUri)}&client_id=baz`
+        );
+    });
+
+    it('omits the default port of the `baseUrl` option', function () {
+      const shopifyToken = new ShopifyToken({
+        sharedSecret: 'foo',
+        apiKey: 'baz',
+        redirectUri,
+        baseUrl: 'https://example.com'
+      });
+
+      expect(shopifyToken.generateAuthUrl('mock-shop', 'read_orders', 'qux'))
+        .to.match(/^https:\/\/example\.com\/admin\/oauth\/authorize\?/);
+    });
+
+    (typeof fetch === 'function' ? it : it.skip)(
+      'works with the `fetch` transport',
+      function () {
+        const shopifyToken = new ShopifyToken({
+          sharedSecret: 'foo',
+          apiKey: 'baz',
+          redirectUri,
+          baseUrl: server.url,
+          transport: ShopifyToken.transports.fetch
+        });
+
+        return shopifyToken.getAccessToken(shop, server.createCode())
+          .then((data) => {
+            expect(data.access_token).to.match(/^shpat_/);
+          });
+      }
+    );
+
+    it('implements the authorization code flow', function () {
+      const state = shopifyToken.createState({ shop });
+      const authUrl = url.parse(shopifyToken.generateAuthUrl(
+        'mock-shop',
+        'read_orders',
+        state,
+        'per-user'
+      ));
+      let token;
+
+      return request(authUrl.path).then((res) => {
+        expect(res.statusCode).to.equal(302);
+        expect(res.headers.location.startsWith(`${redirectUri}?`)).to.be.true;
+
+        const query = url.parse(res.headers.location, true).query;
+
+        expect(query.shop).to.equal(shop);
+        expect(query.state).to.equal(state);
+        expect(Buffer.from(query.host, 'base64').toString())
+          .to.equal('admin.shopify.com/store/mock-shop');
+
+        return shopifyToken.handleCallback(query, { expectedState: state });
+      }).then((data) => {
+        token = data.token;
+
+        expect(token).to.match(/^shpua_[0-9a-f]{32}$/);
+        expect(data.scope).to.equal('read_orders');
+        expect(data.associatedUser).to.have.property('id');
+
+        return shopifyToken.checkAccessToken(shop, token);
+      }).then((data) => {
+        expect(data).to.deep.equal({ valid: true, scopes: ['read_orders'] });
+
+        return shopifyToken.revokeAccessToken(shop, token);
+      }).then(() => shopifyToken.checkAccessToken(shop, token)).then((data) => {
+        expect(data).to.deep.equal({ valid: false, scopes: [] });
+
+        return expectHttpError(
+          shopifyToken.revokeAccessToken(shop, token),
+          401,
+          null
+        );
+      });
+    });
+
+    it('validates the authorization request', function () {
+      const redirect = encodeURIComponent(redirectUri);
+
+      return request(
+        `/admin/oauth/authorize?client_id=qux&redirect_uri=${redirect}`
+      ).then((res) => {
+        expect(res.statusCode).to.equal(400);
+
+        return request(
+          `/admin/oauth/authorize?client_id=baz&redirect_uri=${redirect}`
+        );
+      }).then((res) => {
+        const query = url.parse(res.headers.location, true).query;
+
+        expect(res.statusCode).to.equal(302);
+        expect(query).to.not.have.property('state');
+        expect(shopifyToken.verifyHmac(query)).to.be.true;
+      });
+    });
+
+    it('signs the query string of the redirect URI', function () {
+      const redirect = encodeURIComponent(`${redirectUri}?app=1`);
+
+      return request(
+        `/admin/oauth/authorize?client_id=baz&redirect_uri=${redirect}`
+      ).then((res) => {
+        const query = url.parse(res.headers.location, true).query;
+
+        expect(res.statusCode).to.equal(302);
+        expect(query.app).to.equal('1');
+        expect(shopifyToken.verifyHmac(query)).to.be.true;
+      });
+    });
+
+    it('rejects authorization codes that were already used', function () {
+      const code = server.createCode();
+
+      return shopifyToken.getAccessToken(shop, code).then((data) => {
+        expect(data.access_token).to.match(/^shpat_[0-9a-f]{32}$/);
+        expect(data.scope).to.equal('read_products');
+
+        return expectHttpError(
+          shopifyToken.getAccessToken(shop, code),
+          400,
+          'invalid_request'
+        );
+      });
+    });
+
+    it('implements the refresh token grant', function () {
+      const code = server.createCode({ scope: 'read_orders' });
+      let refreshToken;
+
+      return shopifyToken.getAccessToken(shop, code, { expiring: true })
+        .then((data) => {
+          refreshToken = data.refresh_token;
+
+          expect(data.expires_in).to.equal(3600);
+          expect(refreshToken).to.match(/^shprt_[0-9a-f]{32}$/);
+
+          return shopifyToken.refreshAccessToken(shop, refreshToken);
+        })
+        .then((data) => {
+          expect(data.scope).to.equal('read_orders');
+          expect(data.refresh_token).to.not.equal(refreshToken);
+
+          return expectHttpError(
+            shopifyToken.refreshAccessToken(shop, refreshToken),
+            400,
+            'invalid_grant'
+          );
+        });
+    });
+
+    it('implements the token exchange grant', function () {
+      return Promise.all([
+        shopifyToken.exchangeSessionToken(shop, 'qux'),
+        shopifyToken.exchangeSessionToken(shop, 'qux', {
+          accessMode: 'per-user'
+        }),
+        expectHttpError(
+          shopifyToken.exchangeSessionToken(shop, ''),
+          400,
+          'invalid_subject_token'
+        )
+      ]).then((results) => {
+        expect(results[0].access_token).to.match(/^shpat_/);
+        expect(results[0].scope).to.equal('read_products');
+        expect(results[1].access_token).to.match(/^shpua_/);
+      });
+    });
+
+    it('validates the access token request', function () {
+      const other = new ShopifyToken({
+        sharedSecret: 'qux',
+        apiKey: 'baz',
+        redirectUri,
+        baseUrl: server.url
+      });
+      const options = {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' }
+      };
+
+      return Promise.all([
+        expectHttpError(
+          other.getAccessToken(shop, server.createCode()),
+          400,
+          'invalid_client'
+        ),
+        request('/admin/oauth/access_token', options, 'null'),
+        request('/admin/oauth/access_token', options, '{'),
+        request('/admin/oauth/access_token', options, JSON.stringify({
+          client_id: 'baz',
+          client_secret: 'foo',
+          grant_type: 'password'
+        })),
+        request('/admin/oauth/foo')
+      ]).then((results) => {
+        expect(results[1].statusCode).to.equal(400);
+        expect(results[2].statusCode).to.equal(400);
+        expect(JSON.parse(results[3].data).error)
+          .to.equal('unsupported_grant_type');
+        expect(results[4].statusCode).to.equal(404);
+      });
+    });
+
+    it('allows to inject failures', function () {
+      const shopifyToken = new ShopifyToken({
+        sharedSecret: 'foo',
+        apiKey: 'baz',
+        redirectUri,
+        baseUrl: server.url,
+        maxRetries: 2,
+        retryDelay: 1,
+        timeout: 200
+      });
+
+      server.injectFailure({
+        path: '/admin/oauth/access_token',
+        statusCode: 503,
+        times: 2
+      });
+      server.injectFailure({ path: '/foo', statusCode: 500 });
+
+      return shopifyToken.getAccessToken(shop, server.createCode())
+        .then((data) => {
+          expect(data).to.have.property('access_token');
+          expect(server.failures).to.have.length(1);
+
+          server.failures.length = 0;
+          server.injectFailure({ delay: 300 });
+
+          return shopifyToken.getAccessToken(shop, server.createCode());
+        })
+        .then(() => {
+          throw new Error('Test invalidation');
+        }, (err) => {
+          expect(err).to.be.an.instanceof(
+            ShopifyToken.ShopifyTokenTimeoutError
+          );
+          expect(server.failures).to.have.length(0);
+        });
+    });
+
+    it('supports a delay for all the responses', function () {
+      const server = ShopifyToken.createMockServer({
+        sharedSecret: 'foo',
+        apiKey: 'baz',
+        delay: 100
+      });
+
+      return server.listen().then((baseUrl) => {
+        const shopifyToken = new ShopifyToken({
+          sharedSecret: 'foo',
+          apiKey: 'baz',
+          redirectUri,
+          baseUrl,
+          timeout: 50
+        });
+
+        return shopifyToken.checkAccessToken(shop, 'qux');
+      }).then(() => {
+        throw new Error('Test invalidation');
+      }, (err) => {
+        expect(err).to.be.an.instanceof(ShopifyToken.ShopifyTokenTimeoutError);
+        return server.close();
+      });
+    });
+  });
+
+  describe('errors', function () {
+    const HttpError = ShopifyToken.ShopifyTokenHttpError;
+
+    it('inherit from ShopifyTokenError', function () {
+      [
+        new ShopifyToken.ShopifyTokenTimeoutError(),
+        new HttpError('foo', 500, ''),
+        new ShopifyToken.ShopifyTokenParseError('foo'),
+        new ShopifyToken.ShopifyTokenValidationError('invalid_hmac')
+      ].forEach((err) => {
+        expect(err).to.be.an.instanceof(ShopifyToken.ShopifyTokenError);
+        expect(err).to.be.an.instanceof(Error);
+        expect(err.name).to.equal(err.constructor.name);
+      });
+    });
+
+    it('set the message of validation errors from the reason', function () {
+      const err = new ShopifyToken.ShopifyTokenValidationError(
+        'invalid_session_token_issuer'
+      );
+
+      expect(err.code).to.equal('ERR_SHOPIFY_TOKEN_VALIDATION');
+      expect(err.reason).to.equal('invalid_session_token_issuer');
+      expect(err.message).to.equal(
+        'Invalid session token issuer or destination'
+      );
+    });
+
+    it('parse the `errors` property of JSON bodies', function () {
+      let err = new HttpError('foo', 401, '{"errors":"Invalid API key"}');
+
+      expect(err.error).to.equal(null);
+      expect(err.errorDescription).to.equal('Invalid API key');
+
+      err = new HttpError('foo', 422, '{"errors":{"code":["is invalid"]}}');
+
+      expect(err.errorDescription).to.equal('{"code":["is invalid"]}');
+    });
+
+    it('ignore JSON bodies that are not objects', function () {
+      const err = new HttpError('foo', 500, '"bar"');
+
+      expect(err.error).to.equal(null);
+      expect(err.errorDescription).to.equal(null);
+    });
+
+    it('use the title of HTML bodies', function () {
+      let err = new HttpError(
+        'foo',
+        503,
+        '<html><head><title> Service Unavailable </title></head></html>'
+      );
+
+      expect(err.errorDescription).to.equal('Service Unavailable');
+
+      err = new HttpError('foo', 503, '<html><body></body></html>');
+
+      expect(err.errorDescription).to.equal(null);
+
+      err = new HttpError('foo', 503, '<title></title>');
+
+      expect(err.errorDescription).to.equal(null);
+    });
+
+    it('use `null` if the body is empty', function () {
+      const err = new HttpError('foo', 500, '');
+
+      expect(err.error).to.equal(null);
+      expect(err.errorDescription).to.equal(null);
+    });
+  });
 });
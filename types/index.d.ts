@@ -1,12 +1,14 @@
 /// <reference types="node" />
+import { EventEmitter } from 'events';
+import { IncomingMessage, ServerResponse } from 'http';
 import { Agent } from 'https';
 
 declare namespace ShopifyToken {
   export interface ShopifyTokenOptions {
     // The redirect URL for the Oauth2 flow
     redirectUri: string;
-    // The Shared Secret for the app
-    sharedSecret: string;
+    // The Shared Secret for the app, or a list of secrets when rotating them
+    sharedSecret: string | string[];
     // The API Key for the app
     apiKey: string;
     // The list of scopes
@@ -17,11 +19,158 @@ declare namespace ShopifyToken {
     accessMode?: string;
     // The agent used for all HTTP requests
     agent?: Agent;
+    // Whether or not to request expiring offline access tokens
+    expiring?: boolean;
+    // Additional domains, other than myshopify.com, allowed for shops
+    customShopDomains?: string[];
+    // Whether or not to reject invalid shop domains
+    validateShop?: boolean;
+    // The store where the access tokens are saved automatically
+    store?: TokenStore;
+    // The maximum number of times a request is retried
+    maxRetries?: number;
+    // The base delay, in milliseconds, of the exponential backoff
+    retryDelay?: number;
+    // The function called with the index of the secret that matched
+    onSecretMatch?: (index: number, method: string) => void;
+    // The function used to make the HTTPS requests
+    transport?: Transport;
+    // The URL of the server used instead of the shop, e.g. a mock server
+    baseUrl?: string;
+    // The cache where the used authorization codes are remembered
+    codeCache?: CodeCache;
+    // The number of milliseconds after which a used code is forgotten
+    codeTtl?: number;
+  }
+
+  export interface TransportRequest {
+    // The protocol, `https:` or `http:`
+    protocol: string;
+    // The hostname of the server
+    hostname: string;
+    // The port of the server
+    port?: string;
+    // The request method
+    method: string;
+    // The request path
+    path: string;
+    // The request headers
+    headers: { [name: string]: string };
+    // The request body
+    body?: string;
+    // The agent, ignored by the `fetch` transport
+    agent?: Agent;
+  }
+
+  export interface TransportResponse {
+    statusCode: number;
+    // The response headers, with lowercase names
+    headers: { [name: string]: string | string[] | undefined };
+    body: string;
+  }
+
+  export type Transport = (request: TransportRequest) => {
+    response: Promise<TransportResponse>;
+    abort(): void;
+  };
+
+  export const transports: {
+    https: Transport;
+    fetch: Transport;
+  };
+
+  export interface RequestOptions {
+    // The signal used to abort the request
+    signal?: AbortSignal;
+    // The request timeout
+    timeout?: number;
+    // The agent used for the request
+    agent?: Agent;
+  }
+
+  export interface AccessTokenOptions extends RequestOptions {
+    // Whether or not to request an expiring offline access token
+    expiring?: boolean;
+  }
+
+  export class AbortError extends Error {
+    constructor(message?: string);
+    name: 'AbortError';
+    code: 'ABORT_ERR';
+  }
+
+  export class ShopifyTokenError extends Error {
+    constructor(message: string, code: string);
+    code: string;
+  }
+
+  export class ShopifyTokenTimeoutError extends ShopifyTokenError {
+    constructor();
+    code: 'ERR_SHOPIFY_TOKEN_TIMEOUT';
+  }
+
+  export class ShopifyTokenHttpError extends ShopifyTokenError {
+    constructor(message: string, statusCode: number, responseBody: string);
+    code: 'ERR_SHOPIFY_TOKEN_HTTP';
+    // The status code of the response
+    statusCode: number;
+    // The body of the response
+    responseBody: string;
+    // The `error` property of the body, if any
+    error: string | null;
+    // The description of the error extracted from the body, if any
+    errorDescription: string | null;
+  }
+
+  export class ShopifyTokenParseError extends ShopifyTokenError {
+    constructor(message: string, statusCode?: number, responseBody?: string);
+    code: 'ERR_SHOPIFY_TOKEN_PARSE';
+    statusCode?: number;
+    responseBody?: string;
+  }
+
+  export type ValidationErrorReason =
+    | 'code_already_used'
+    | 'expired_timestamp'
+    | 'id_token_expired'
+    | 'id_token_not_yet_valid'
+    | 'invalid_hmac'
+    | 'invalid_id_token_audience'
+    | 'invalid_id_token_issuer'
+    | 'invalid_id_token_nonce'
+    | 'invalid_session_token_audience'
+    | 'invalid_session_token_issuer'
+    | 'invalid_session_token_signature'
+    | 'invalid_shop_domain'
+    | 'invalid_state_signature'
+    | 'invalid_webhook_hmac'
+    | 'malformed_id_token'
+    | 'malformed_session_token'
+    | 'malformed_state'
+    | 'session_token_expired'
+    | 'session_token_not_yet_valid'
+    | 'state_expired'
+    | 'state_mismatch'
+    | 'state_shop_mismatch'
+    | 'unsupported_session_token_algorithm';
+
+  export class ShopifyTokenValidationError extends ShopifyTokenError {
+    constructor(reason: ValidationErrorReason);
+    code: 'ERR_SHOPIFY_TOKEN_VALIDATION';
+    // A stable identifier of the failed check
+    reason: ValidationErrorReason;
   }
 
   export interface OfflineAccessTokenData {
     access_token: string;
     scope: string;
+    // Only present for expiring offline access tokens
+    expires_in?: number;
+    refresh_token?: string;
+    refresh_token_expires_in?: number;
+    // Computed absolute timestamps, in milliseconds
+    expiresAt?: number;
+    refreshTokenExpiresAt?: number;
   }
 
   export interface AccessTokenAssociatedUser {
@@ -41,23 +190,583 @@ declare namespace ShopifyToken {
     expires_in: number;
     associated_user_scope: string;
     associated_user: AccessTokenAssociatedUser;
+    // Computed absolute timestamp, in milliseconds
+    expiresAt: number;
+  }
+
+  export interface HandleCallbackOptions extends AccessTokenOptions {
+    // The expected state, e.g. the one saved in the session or in a cookie
+    expectedState: string;
+    // The maximum age, in milliseconds, of the `timestamp` parameter
+    maxAge?: number;
+  }
+
+  export interface CallbackData {
+    shop: string;
+    token: string;
+    scope: string;
+    associatedUser?: AccessTokenAssociatedUser;
+    associatedUserScope?: string;
+    expiresAt?: number;
+    refreshToken?: string;
+    refreshTokenExpiresAt?: number;
+  }
+
+  export interface MiddlewareOptions {
+    // The function called after the authorization succeeds
+    afterAuth: (
+      req: IncomingMessage,
+      res: ServerResponse,
+      data: (OfflineAccessTokenData | OnlineAccessTokenData) & { shop: string }
+    ) => any;
+    // The list of scopes
+    scopes?: string | string[];
+    // API access mode
+    accessMode?: string;
+    // The name of the state cookie
+    cookieName?: string;
+    // The path of the state cookie
+    cookiePath?: string;
+    // Whether or not to set the `Secure` attribute of the state cookie
+    secure?: boolean;
+    // The number of milliseconds after which the state expires
+    ttl?: number;
+    // The maximum age, in milliseconds, of the `timestamp` parameter
+    maxAge?: number;
+  }
+
+  export type RequestHandler = (
+    req: IncomingMessage,
+    res: ServerResponse,
+    next?: (err?: any) => void
+  ) => Promise<void>;
+
+  export type KoaMiddleware = (ctx: any) => Promise<void>;
+
+  export interface Middleware {
+    begin: RequestHandler;
+    callback: RequestHandler;
+    koa: {
+      begin: KoaMiddleware;
+      callback: KoaMiddleware;
+    };
+  }
+
+  export interface ExchangeSessionTokenOptions extends AccessTokenOptions {
+    // API access mode
+    accessMode?: string;
+  }
+
+  export interface CreateStateOptions {
+    // The shop the state is bound to
+    shop?: string;
+    // Additional JSON serializable data
+    data?: any;
+    // The number of milliseconds after which the state expires
+    ttl?: number;
+  }
+
+  export interface VerifyStateOptions {
+    // The shop the state is expected to be bound to
+    shop?: string;
+  }
+
+  export interface StatePayload {
+    nonce: string;
+    exp: number;
+    shop?: string;
+    data?: any;
+  }
+
+  export interface SessionTokenOptions {
+    // The number of seconds of tolerance when checking `exp` and `nbf`
+    clockTolerance?: number;
+  }
+
+  export interface SessionTokenPayload {
+    iss: string;
+    dest: string;
+    aud: string;
+    sub: string;
+    exp: number;
+    nbf: number;
+    iat: number;
+    jti: string;
+    sid: string;
+    [key: string]: any;
+  }
+
+  export type TokenRecord = (OfflineAccessTokenData | OnlineAccessTokenData) & {
+    // The token id
+    id: string;
+    // The hostname of the shop
+    shop: string;
+  };
+
+  export interface TokenStore {
+    get(id: string): Promise<TokenRecord | undefined>;
+    set(id: string, record: TokenRecord): Promise<void>;
+    delete(id: string): Promise<void>;
+    findByShop(shop: string): Promise<TokenRecord[]>;
+  }
+
+  export interface MemoryStoreOptions {
+    // The maximum number of tokens to keep
+    max?: number;
+  }
+
+  export class MemoryStore implements TokenStore {
+    constructor(options?: MemoryStoreOptions);
+    get(id: string): Promise<TokenRecord | undefined>;
+    set(id: string, record: TokenRecord): Promise<void>;
+    delete(id: string): Promise<void>;
+    findByShop(shop: string): Promise<TokenRecord[]>;
+  }
+
+  export interface CustomerAccountOptions {
+    // The id of the shop
+    shopId: number | string;
+    // The client ID of the Customer Account API
+    clientId: string;
+    // The client secret, for confidential clients
+    clientSecret?: string;
+    // The redirect URL for the OAuth flow
+    redirectUri: string;
+    // The list of scopes
+    scopes?: string | string[];
+    // The request timeout
+    timeout?: number;
+    // The agent used for all HTTP requests
+    agent?: Agent;
+    // The maximum number of times a request is retried
+    maxRetries?: number;
+    // The base delay, in milliseconds, of the exponential backoff
+    retryDelay?: number;
+    // The function used to make the HTTPS requests
+    transport?: Transport;
+    // The URL of the server used instead of https://shopify.com
+    baseUrl?: string;
+  }
+
+  export interface CustomerAuthUrlOptions {
+    // The list of scopes
+    scopes?: string | string[];
+    // The `prompt` parameter
+    prompt?: string;
+    // The `ui_locales` parameter
+    locale?: string;
+  }
+
+  export interface CustomerAccessTokenData {
+    access_token: string;
+    expires_in: number;
+    // The absolute expiration time in milliseconds since the Unix epoch
+    expiresAt: number;
+    refresh_token: string;
+    // Only present when the code is exchanged
+    id_token?: string;
+    token_type: string;
+    [key: string]: any;
+  }
+
+  export interface VerifyIdTokenOptions {
+    // The nonce used in the authorization URL
+    nonce?: string;
+    // The number of seconds of tolerance when checking `exp` and `iat`
+    clockTolerance?: number;
+  }
+
+  export interface IdTokenClaims {
+    iss: string;
+    aud: string | string[];
+    sub: string;
+    exp: number;
+    iat?: number;
+    nonce?: string;
+    [key: string]: any;
+  }
+
+  export class CustomerAccount extends EventEmitter {
+    constructor(options: CustomerAccountOptions);
+    // The expected issuer of the ID tokens
+    issuer: string;
+    generateNonce(): string;
+    generateCodeVerifier(): string;
+    generateCodeChallenge(codeVerifier: string): string;
+    generateAuthUrl(
+      state: string,
+      nonce: string,
+      codeChallenge: string,
+      options?: CustomerAuthUrlOptions
+    ): string;
+    getAccessToken(
+      code: string,
+      codeVerifier: string,
+      options?: RequestOptions
+    ): Promise<CustomerAccessTokenData>;
+    refreshAccessToken(
+      refreshToken: string,
+      options?: RequestOptions
+    ): Promise<CustomerAccessTokenData>;
+    verifyIdToken(
+      idToken: string,
+      options?: VerifyIdTokenOptions
+    ): IdTokenClaims;
+    generateLogoutUrl(idToken: string, postLogoutRedirectUri?: string): string;
+  }
+
+  export interface CodeCache {
+    get(key: string): any | Promise<any>;
+    set(key: string, value: any, ttl: number): void | Promise<void>;
+    delete(key: string): void | Promise<void>;
+  }
+
+  export interface MemoryCacheOptions {
+    // The maximum number of entries to keep
+    max?: number;
+  }
+
+  export class MemoryCache implements CodeCache {
+    constructor(options?: MemoryCacheOptions);
+    get(key: string): Promise<any>;
+    set(key: string, value: any, ttl: number): Promise<void>;
+    delete(key: string): Promise<void>;
+  }
+
+  export interface FileStoreOptions {
+    // The path of the JSON file
+    path: string;
+  }
+
+  export class FileStore implements TokenStore {
+    constructor(options: FileStoreOptions);
+    get(id: string): Promise<TokenRecord | undefined>;
+    set(id: string, record: TokenRecord): Promise<void>;
+    delete(id: string): Promise<void>;
+    findByShop(shop: string): Promise<TokenRecord[]>;
+  }
+
+  /**
+   * Get the id under which a token is stored. Offline tokens are keyed by
+   * shop, online tokens by shop and user id.
+   *
+   * @param {String} shop The hostname of the shop, e.g. foo.myshopify.com
+   * @param {Number|String} [userId] The id of the user associated with the
+   *     token
+   * @return {String} The token id
+   * @public
+   */
+  export function getTokenId(shop: string, userId?: number | string): string;
+
+  export interface MockServerOptions {
+    // The API Key of the app
+    apiKey: string;
+    // The Shared Secret of the app
+    sharedSecret: string;
+    // The hostname of the shop
+    shop?: string;
+    // The scopes granted to the tokens obtained with a session token
+    scope?: string;
+    // The number of milliseconds to wait before each response
+    delay?: number;
+    // Options for `https.createServer()`
+    https?: object;
+  }
+
+  export interface CreateCodeOptions {
+    // The scopes granted to the access token
+    scope?: string;
+    // Whether or not the code is exchanged for an online access token
+    online?: boolean;
+  }
+
+  export interface InjectFailureOptions {
+    // The path of the requests to fail
+    path?: string;
+    // The status code of the response
+    statusCode?: number;
+    // The body of the response
+    body?: any;
+    // The number of milliseconds to wait before the response
+    delay?: number;
+    // The number of requests to fail
+    times?: number;
+  }
+
+  export interface MockServer {
+    // The URL of the server, set when it is listening
+    url: string | null;
+    listen(port?: number, hostname?: string): Promise<string>;
+    close(): Promise<void>;
+    createCode(options?: CreateCodeOptions): string;
+    injectFailure(options?: InjectFailureOptions): void;
+  }
+
+  /**
+   * Create a local server that mimics the OAuth endpoints of a Shopify shop.
+   *
+   * @param {Object} options Configuration options
+   * @return {MockServer} The mock server
+   * @public
+   */
+  export function createMockServer(options: MockServerOptions): MockServer;
+
+  export interface RegistryEntry {
+    // The name of the app
+    name: string;
+    // The `ShopifyToken` instance of the app
+    shopifyToken: ShopifyToken;
+  }
+
+  export interface Registry {
+    add(name: string, options: Partial<ShopifyTokenOptions>): ShopifyToken;
+    get(name: string): ShopifyToken | undefined;
+    delete(name: string): boolean;
+    names(): string[];
+    findByApiKey(apiKey: string): RegistryEntry | null;
+    findByHmac(query: any): RegistryEntry | null;
+    findByWebhook(
+      rawBody: Buffer | string,
+      hmacHeader: string
+    ): RegistryEntry | null;
+  }
+
+  /**
+   * Create a registry of apps, each with its own `ShopifyToken` instance.
+   *
+   * @param {Object} [apps] An object whose keys are app names and values are
+   *     the options of the apps
+   * @param {Object} [defaults] The options shared by all the apps
+   * @return {Registry} The registry
+   * @public
+   */
+  export function createRegistry(
+    apps?: { [name: string]: Partial<ShopifyTokenOptions> },
+    defaults?: Partial<ShopifyTokenOptions>
+  ): Registry;
+
+  export interface RequestEvent {
+    // The hostname of the shop
+    shop: string;
+    // The request method
+    method: string;
+    // The request path
+    path: string;
+    // The attempt number, starting from 1
+    attempt: number;
+    // The additional request headers, with secrets redacted
+    headers?: { [name: string]: string };
+    // The request body, with secrets redacted
+    body?: { [name: string]: any };
+  }
+
+  export interface ResponseEvent {
+    shop: string;
+    method: string;
+    path: string;
+    attempt: number;
+    // The number of milliseconds the attempt took
+    duration: number;
+    // The status code, or `null` if the request failed
+    statusCode: number | null;
+    // The error, or `null` if a response was received
+    error: Error | null;
+  }
+
+  export interface RetryEvent {
+    shop: string;
+    method: string;
+    path: string;
+    // The number of the next attempt
+    attempt: number;
+    // The number of milliseconds to wait before the next attempt
+    delay: number;
+    // The status code of the failed attempt, or `null` if the request failed
+    statusCode: number | null;
+    // The error of the failed attempt, or `null` if a response was received
+    error: Error | null;
+  }
+
+  export interface HmacFailureEvent {
+    // The name of the verification method
+    method: string;
+    // Whether the signature is missing or malformed or it does not match
+    reason: 'malformed' | 'mismatch';
+    // The hostname of the shop, if known
+    shop?: string;
+  }
+
+  export interface StoreErrorEvent {
+    // The hostname of the shop
+    shop: string;
+    // The id of the token record, if known
+    id?: string;
+    // The error of the store
+    error: any;
+  }
+
+  export interface ScopeDiff {
+    // The requested scopes that are not granted
+    missing: string[];
+    // The granted scopes that are not requested
+    extra: string[];
+  }
+
+  /**
+   * Parse a list of scopes.
+   *
+   * @param {Array|String} [scopes] An array of scopes or a comma-separated
+   *     string
+   * @return {String[]} The sorted list of unique scopes
+   * @public
+   */
+  export function parseScopes(scopes?: string | string[]): string[];
+
+  /**
+   * Parse a list of scopes and add the ones implied by them. A `write_*` scope
+   * implies the corresponding `read_*` scope and an `unauthenticated_write_*`
+   * scope implies the corresponding `unauthenticated_read_*` scope.
+   *
+   * @param {Array|String} [scopes] An array of scopes or a comma-separated
+   *     string
+   * @return {String[]} The sorted list of unique scopes
+   * @public
+   */
+  export function expandScopes(scopes?: string | string[]): string[];
+
+  /**
+   * Compare the requested scopes with the granted ones.
+   *
+   * @param {Array|String} requested The requested scopes
+   * @param {Array|String} granted The granted scopes
+   * @return {Object} An object with the `missing` property, the list of
+   *     requested scopes that are not granted, and the `extra` property, the
+   *     list of granted scopes that are not requested
+   * @public
+   */
+  export function diffScopes(
+    requested: string | string[],
+    granted: string | string[]
+  ): ScopeDiff;
+
+  export interface ReauthorizationOptions {
+    // The requested scopes
+    scopes?: string | string[];
+    // The nonce
+    nonce?: string;
+    // API access mode
+    accessMode?: string;
+  }
+
+  export interface EmbeddedContext {
+    // Whether or not the app is loaded in the Shopify admin
+    embedded: boolean;
+    // The decoded host
+    host: string | null;
+  }
+
+  export interface RedirectResponse {
+    // The status code, 302 or 200
+    statusCode: number;
+    // The response headers
+    headers: { [name: string]: string };
+    // The response body
+    body: string;
+  }
+
+  export interface AccessTokenStatus {
+    // Whether or not the access token is valid
+    valid: boolean;
+    // The scopes granted to the access token
+    scopes: string[];
+  }
+
+  export interface AccessTokenCheck {
+    // The hostname of the shop
+    shop: string;
+    // The access token
+    accessToken: string;
+  }
+
+  export interface AccessTokenCheckResult extends Partial<AccessTokenStatus> {
+    // The hostname of the shop
+    shop: string;
+    // The error, if the access token could not be checked
+    error?: Error;
+  }
+
+  export interface CheckAccessTokensOptions extends RequestOptions {
+    // The maximum number of concurrent requests
+    concurrency?: number;
+  }
+
+  export interface WebhookData {
+    topic: string;
+    shop: string;
+    webhookId: string;
+    apiVersion: string;
+    payload: any;
   }
 }
 
-declare class ShopifyToken {
+declare class ShopifyToken extends EventEmitter {
   /**
    * Create a ShopifyToken instance.
    *
    * @param {Object} options Configuration options
    * @param {String} options.redirectUri The redirect URL for the Oauth2 flow
-   * @param {String} options.sharedSecret The Shared Secret for the app
+   * @param {Array|String} options.sharedSecret The Shared Secret for the app,
+   *     or a list of secrets when rotating them. The first one is used for
+   *     signing, while signatures made with any of them are accepted
    * @param {Array|String} [options.scopes] The list of scopes
    * @param {String} options.apiKey The API Key for the app
    * @param {String} [options.accessMode] The API access mode
    * @param {Number} [options.timeout] The request timeout
    * @param {Agent} [options.agent] The agent used for all HTTP requests
+   * @param {Boolean} [options.expiring] Whether or not to request expiring
+   *     offline access tokens
+   * @param {String[]} [options.customShopDomains] Additional domains, other
+   *     than myshopify.com, allowed for shops
+   * @param {Boolean} [options.validateShop=true] Whether or not to reject
+   *     invalid shop domains
+   * @param {Object} [options.store] The store where the access tokens are
+   *     saved automatically
+   * @param {Number} [options.maxRetries=0] The maximum number of times a
+   *     request is retried on network errors, 429, and 5xx responses
+   * @param {Number} [options.retryDelay=1000] The base delay, in
+   *     milliseconds, of the exponential backoff between retries
+   * @param {Function} [options.onSecretMatch] The function called with the
+   *     index of the shared secret and the name of the method when a
+   *     signature is verified
+   * @param {Function} [options.transport] The function used to make the HTTPS
+   *     requests
+   * @param {String} [options.baseUrl] The URL of the server used instead of
+   *     the shop, e.g. the URL of a mock server
+   * @param {Object} [options.codeCache] The cache where the consumed
+   *     authorization codes are remembered. If specified, concurrent requests
+   *     with the same code are coalesced and a code can be used only once
+   * @param {Number} [options.codeTtl=600000] The number of milliseconds after
+   *     which a consumed authorization code is forgotten
    */
   constructor(options: ShopifyToken.ShopifyTokenOptions);
+  on(
+    event: 'request',
+    listener: (data: ShopifyToken.RequestEvent) => void
+  ): this;
+  on(
+    event: 'response',
+    listener: (data: ShopifyToken.ResponseEvent) => void
+  ): this;
+  on(event: 'retry', listener: (data: ShopifyToken.RetryEvent) => void): this;
+  on(
+    event: 'hmacFailure',
+    listener: (data: ShopifyToken.HmacFailureEvent) => void
+  ): this;
+  on(
+    event: 'storeError',
+    listener: (data: ShopifyToken.StoreErrorEvent) => void
+  ): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
   /**
    * Generate a random nonce.
    *
@@ -65,6 +774,51 @@ declare class ShopifyToken {
    * @public
    */
   generateNonce(): string;
+  /**
+   * Create a signed state that can be used as the nonce of the authorization
+   * URL without storing it on the server.
+   *
+   * @param {Object} [options] Options object
+   * @param {String} [options.shop] The shop the state is bound to
+   * @param {*} [options.data] Additional JSON serializable data
+   * @param {Number} [options.ttl=600000] The number of milliseconds after
+   *     which the state expires
+   * @return {String} The signed state
+   * @public
+   */
+  createState(options?: ShopifyToken.CreateStateOptions): string;
+  /**
+   * Verify a state created with `createState()`.
+   *
+   * @param {String} state The state
+   * @param {Object} [options] Options object
+   * @param {String} [options.shop] The shop the state is expected to be bound
+   *     to
+   * @return {Object} The decoded state
+   * @throws {Error} If the state is not valid
+   * @public
+   */
+  verifyState(
+    state: string,
+    options?: ShopifyToken.VerifyStateOptions
+  ): ShopifyToken.StatePayload;
+  /**
+   * Check whether a hostname is a valid shop domain.
+   *
+   * @param {String} shop The hostname to check, e.g. foo.myshopify.com
+   * @return {Boolean} `true` if `shop` is a valid shop domain, else `false`
+   * @public
+   */
+  isValidShopDomain(shop: string): boolean;
+  /**
+   * Normalize a shop name, hostname, or URL into a shop domain.
+   *
+   * @param {String} shop The shop name, hostname, or URL
+   * @return {String|null} The shop domain, e.g. foo.myshopify.com, or `null`
+   *     if `shop` is not valid
+   * @public
+   */
+  normalizeShop(shop: string): string | null;
   /**
    * Build the authorization URL.
    *
@@ -73,6 +827,7 @@ declare class ShopifyToken {
    * @param {String} [nonce] The nonce
    * @param {String} [accessMode] The API access mode
    * @return {String} The authorization URL
+   * @throws {Error} If the shop is not valid
    * @public
    */
   generateAuthUrl(
@@ -81,6 +836,62 @@ declare class ShopifyToken {
     nonce?: string,
     accessMode?: string
   ): string;
+  /**
+   * Check whether the granted scopes include all the requested ones and, if
+   * not, build the authorization URL to request them.
+   *
+   * @param {String} shop The shop name
+   * @param {Array|String} grantedScope The granted scopes, e.g. the `scope`
+   *     property of the access token data
+   * @param {Object} [options] Options object
+   * @param {Array|String} [options.scopes] The requested scopes
+   * @param {String} [options.nonce] The nonce
+   * @param {String} [options.accessMode] The API access mode
+   * @return {String|null} The authorization URL, or `null` if all the
+   *     requested scopes are granted
+   * @throws {Error} If the shop is not valid
+   * @public
+   */
+  needsReauthorization(
+    shop: string,
+    grantedScope: string | string[],
+    options?: ShopifyToken.ReauthorizationOptions
+  ): string | null;
+  /**
+   * Decode the `host` parameter sent by Shopify to embedded apps.
+   *
+   * @param {String} host The base64-encoded host
+   * @return {String|null} The decoded host, e.g.
+   *     admin.shopify.com/store/foo, or `null` if it is not valid
+   * @public
+   */
+  decodeHost(host: string): string | null;
+  /**
+   * Get the embedded context of a request from its query string. The query
+   * should be verified with `verifyHmac()` first.
+   *
+   * @param {Object} query The parsed query string
+   * @return {Object} An object with the `embedded` and `host` properties
+   * @public
+   */
+  getEmbeddedContext(query: any): ShopifyToken.EmbeddedContext;
+  /**
+   * Build the response that redirects the user to a URL. When the app is
+   * embedded, the redirect is performed by a page that uses App Bridge to
+   * navigate the top-level window.
+   *
+   * @param {String} redirectUrl The absolute URL or the absolute path to
+   *     redirect to
+   * @param {Object} [query] The parsed query string of the request
+   * @return {Object} An object with the `statusCode`, `headers`, and `body`
+   *     properties
+   * @throws {TypeError} If the URL is not valid
+   * @public
+   */
+  createRedirectResponse(
+    redirectUrl: string,
+    query?: any
+  ): ShopifyToken.RedirectResponse;
   /**
    * Verify the hmac returned by Shopify.
    *
@@ -89,21 +900,226 @@ declare class ShopifyToken {
    * @public
    */
   verifyHmac(query: any): boolean;
+  /**
+   * Like `verifyHmac()` but uses the Web Crypto API when the `crypto` module
+   * is not available.
+   *
+   * @param {Object} query The parsed query string
+   * @return {Promise} Promise which is fulfilled with `true` if the hmac is
+   *     valid, else `false`
+   * @public
+   */
+  verifyHmacAsync(query: any): Promise<boolean>;
+  /**
+   * Verify the signature of an app proxy request.
+   *
+   * @param {Object} query The parsed query string
+   * @return {Boolean} `true` if the signature is valid, else `false`
+   * @public
+   */
+  verifyProxySignature(query: any): boolean;
+  /**
+   * Verify and decode a session token issued by App Bridge.
+   *
+   * @param {String} token The session token
+   * @param {Object} [options] Options object
+   * @param {Number} [options.clockTolerance=5] The number of seconds of
+   *     tolerance when checking the `exp` and `nbf` claims
+   * @return {Object} The decoded payload
+   * @throws {Error} If the token is not valid
+   * @public
+   */
+  verifySessionToken(
+    token: string,
+    options?: ShopifyToken.SessionTokenOptions
+  ): ShopifyToken.SessionTokenPayload;
+  /**
+   * Verify the hmac of a webhook sent by Shopify.
+   *
+   * @param {Buffer|String} rawBody The raw body of the webhook request
+   * @param {String} hmacHeader The value of the `X-Shopify-Hmac-Sha256` header
+   * @return {Boolean} `true` if the hmac is valid, else `false`
+   * @throws {TypeError} If the body is not a string or a buffer
+   * @public
+   */
+  verifyWebhook(rawBody: Buffer | string, hmacHeader: string): boolean;
+  /**
+   * Read the body of a webhook request and verify its hmac.
+   *
+   * @param {http.IncomingMessage} req The webhook request
+   * @return {Promise} Promise which is fulfilled with the parsed payload and
+   *     the webhook metadata
+   * @public
+   */
+  verifyWebhookRequest(req: IncomingMessage): Promise<ShopifyToken.WebhookData>;
   /**
    * Request an access token.
    *
    * @param {String} shop The hostname of the shop, e.g. foo.myshopify.com
    * @param {String} code The authorization code
+   * @param {Object} [options] Options object
+   * @param {Boolean} [options.expiring] Whether or not to request an expiring
+   *     offline access token
+   * @param {AbortSignal} [options.signal] The signal used to abort the request
+   * @param {Number} [options.timeout] The request timeout
+   * @param {Agent} [options.agent] The agent used for the request
    * @return {Promise} Promise which is fulfilled with an access token and
    *     additional data
    * @public
    */
   getAccessToken(
     shop: string,
-    code: string
+    code: string,
+    options?: ShopifyToken.AccessTokenOptions
   ): Promise<
     ShopifyToken.OfflineAccessTokenData | ShopifyToken.OnlineAccessTokenData
   >;
+  /**
+   * Validate the query of the confirmation redirect and exchange the
+   * authorization code for an access token.
+   *
+   * @param {Object} query The parsed query string
+   * @param {Object} options Options object
+   * @param {String} options.expectedState The expected state, e.g. the one
+   *     saved in the session or in a cookie when the user was redirected
+   * @param {Number} [options.maxAge=600000] The maximum age, in milliseconds,
+   *     of the `timestamp` parameter
+   * @param {Boolean} [options.expiring] Whether or not to request an expiring
+   *     offline access token
+   * @param {AbortSignal} [options.signal] The signal used to abort the request
+   * @param {Number} [options.timeout] The request timeout
+   * @param {Agent} [options.agent] The agent used for the request
+   * @return {Promise} Promise which is fulfilled with the shop, the access
+   *     token, and additional data
+   * @public
+   */
+  handleCallback(
+    query: any,
+    options: ShopifyToken.HandleCallbackOptions
+  ): Promise<ShopifyToken.CallbackData>;
+  /**
+   * Create handlers that implement the OAuth flow for Connect, Express, Koa,
+   * and plain `http` servers.
+   *
+   * @param {Object} options Options object
+   * @param {Function} options.afterAuth The function called with the request,
+   *     the response, and the access token data, augmented with the `shop`
+   *     property, after the authorization succeeds
+   * @param {Array|String} [options.scopes] The list of scopes
+   * @param {String} [options.accessMode] The API access mode
+   * @param {String} [options.cookieName=shopify_token_state] The name of the
+   *     state cookie
+   * @param {String} [options.cookiePath=/] The path of the state cookie
+   * @param {Boolean} [options.secure=true] Whether or not to set the `Secure`
+   *     attribute of the state cookie
+   * @param {Number} [options.ttl=600000] The number of milliseconds after
+   *     which the state expires
+   * @param {Number} [options.maxAge] The maximum age, in milliseconds, of the
+   *     `timestamp` parameter
+   * @return {Object} An object with the `begin` and `callback` handlers
+   * @public
+   */
+  createMiddleware(
+    options: ShopifyToken.MiddlewareOptions
+  ): ShopifyToken.Middleware;
+  /**
+   * Exchange a session token for an access token.
+   *
+   * @param {String} shop The hostname of the shop, e.g. foo.myshopify.com
+   * @param {String} sessionToken The session token issued by App Bridge
+   * @param {Object} [options] Options object
+   * @param {String} [options.accessMode] The API access mode
+   * @param {Boolean} [options.expiring] Whether or not to request an expiring
+   *     offline access token
+   * @param {AbortSignal} [options.signal] The signal used to abort the request
+   * @param {Number} [options.timeout] The request timeout
+   * @param {Agent} [options.agent] The agent used for the request
+   * @return {Promise} Promise which is fulfilled with an access token and
+   *     additional data
+   * @public
+   */
+  exchangeSessionToken(
+    shop: string,
+    sessionToken: string,
+    options?: ShopifyToken.ExchangeSessionTokenOptions
+  ): Promise<
+    ShopifyToken.OfflineAccessTokenData | ShopifyToken.OnlineAccessTokenData
+  >;
+  /**
+   * Use a refresh token to get a new expiring offline access token.
+   *
+   * @param {String} shop The hostname of the shop, e.g. foo.myshopify.com
+   * @param {String} refreshToken The refresh token
+   * @param {Object} [options] Options object
+   * @param {AbortSignal} [options.signal] The signal used to abort the request
+   * @param {Number} [options.timeout] The request timeout
+   * @param {Agent} [options.agent] The agent used for the request
+   * @return {Promise} Promise which is fulfilled with an access token and
+   *     additional data
+   * @public
+   */
+  refreshAccessToken(
+    shop: string,
+    refreshToken: string,
+    options?: ShopifyToken.RequestOptions
+  ): Promise<ShopifyToken.OfflineAccessTokenData>;
+  /**
+   * Revoke all the access tokens of a shop, uninstalling the app from it.
+   *
+   * @param {String} shop The hostname of the shop, e.g. foo.myshopify.com
+   * @param {String} accessToken An access token of the shop
+   * @param {Object} [options] Options object
+   * @param {AbortSignal} [options.signal] The signal used to abort the request
+   * @param {Number} [options.timeout] The request timeout
+   * @param {Agent} [options.agent] The agent used for the request
+   * @return {Promise} Promise which is fulfilled when the app is uninstalled
+   * @public
+   */
+  revokeAccessToken(
+    shop: string,
+    accessToken: string,
+    options?: ShopifyToken.RequestOptions
+  ): Promise<void>;
+  /**
+   * Check whether an access token is valid and get its scopes.
+   *
+   * @param {String} shop The hostname of the shop, e.g. foo.myshopify.com
+   * @param {String} accessToken The access token
+   * @param {Object} [options] Options object
+   * @param {AbortSignal} [options.signal] The signal used to abort the request
+   * @param {Number} [options.timeout] The request timeout
+   * @param {Agent} [options.agent] The agent used for the request
+   * @return {Promise} Promise which is fulfilled with an object with the
+   *     `valid` and `scopes` properties
+   * @public
+   */
+  checkAccessToken(
+    shop: string,
+    accessToken: string,
+    options?: ShopifyToken.RequestOptions
+  ): Promise<ShopifyToken.AccessTokenStatus>;
+  /**
+   * Check multiple access tokens, with a limited number of requests in
+   * flight.
+   *
+   * @param {Object[]} tokens The access tokens, as objects with the `shop`
+   *     and `accessToken` properties
+   * @param {Object} [options] Options object
+   * @param {Number} [options.concurrency=10] The maximum number of concurrent
+   *     requests
+   * @param {AbortSignal} [options.signal] The signal used to abort the
+   *     requests
+   * @param {Number} [options.timeout] The timeout of each request
+   * @param {Agent} [options.agent] The agent used for the requests
+   * @return {Promise} Promise which is fulfilled with an array of results, in
+   *     the same order as `tokens`
+   * @throws {TypeError} If the `concurrency` option is not a positive integer
+   * @public
+   */
+  checkAccessTokens(
+    tokens: ShopifyToken.AccessTokenCheck[],
+    options?: ShopifyToken.CheckAccessTokensOptions
+  ): Promise<ShopifyToken.AccessTokenCheckResult[]>;
 }
 
 export = ShopifyToken;